@@ -0,0 +1,94 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+
+'use strict';
+
+import ParaObject from './ParaObject.js';
+
+/**
+ * A postal address, which can be attached to other objects.
+ */
+export default class Address extends ParaObject {
+  constructor(id) {
+    super(id, 'address');
+  }
+  /**
+   * The street address.
+   *
+   * @return {String} the address
+   */
+  getAddress() {
+    return this.address;
+  }
+  /**
+   * Sets the street address.
+   *
+   * @param {String} address
+   */
+  setAddress(address) {
+    this.address = address;
+  }
+  /**
+   * The country.
+   *
+   * @return {String} the country
+   */
+  getCountry() {
+    return this.country;
+  }
+  /**
+   * Sets the country.
+   *
+   * @param {String} country
+   */
+  setCountry(country) {
+    this.country = country;
+  }
+  /**
+   * The location as 'latitude,longitude'.
+   *
+   * @return {String} the location
+   */
+  getLatlng() {
+    return this.latlng;
+  }
+  /**
+   * Sets the location as 'latitude,longitude'.
+   *
+   * @param {String} latlng
+   */
+  setLatlng(latlng) {
+    this.latlng = latlng;
+  }
+  /**
+   * The phone number.
+   *
+   * @return {String} the phone number
+   */
+  getPhone() {
+    return this.phone;
+  }
+  /**
+   * Sets the phone number.
+   *
+   * @param {String} phone
+   */
+  setPhone(phone) {
+    this.phone = phone;
+  }
+}
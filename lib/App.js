@@ -0,0 +1,191 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+
+'use strict';
+
+import ParaObject from './ParaObject.js';
+
+/**
+ * An app, which holds its own objects, settings, data types and permissions. The id
+ * of an app is 'app:' followed by its identifier.
+ */
+export default class App extends ParaObject {
+  constructor(id) {
+    super(id, 'app');
+  }
+  /**
+   * The "active" flag.
+   *
+   * @return {Boolean} true if the app is active
+   */
+  getActive() {
+    return this.active;
+  }
+  /**
+   * Sets the "active" flag.
+   *
+   * @param {Boolean} active true if the app is active
+   */
+  setActive(active) {
+    this.active = active;
+  }
+  /**
+   * The "readOnly" flag.
+   *
+   * @return {Boolean} true if the app is read-only
+   */
+  getReadOnly() {
+    return this.readOnly;
+  }
+  /**
+   * Sets the "readOnly" flag.
+   *
+   * @param {Boolean} readOnly true if the app is read-only
+   */
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+  }
+  /**
+   * The "sharingIndex" flag.
+   *
+   * @return {Boolean} true if the app shares its search index with other apps
+   */
+  getSharingIndex() {
+    return this.sharingIndex;
+  }
+  /**
+   * Sets the "sharingIndex" flag.
+   *
+   * @param {Boolean} sharingIndex true if the app shares its search index with other apps
+   */
+  setSharingIndex(sharingIndex) {
+    this.sharingIndex = sharingIndex;
+  }
+  /**
+   * The "sharingTable" flag.
+   *
+   * @return {Boolean} true if the app shares its database table with other apps
+   */
+  getSharingTable() {
+    return this.sharingTable;
+  }
+  /**
+   * Sets the "sharingTable" flag.
+   *
+   * @param {Boolean} sharingTable true if the app shares its database table with other apps
+   */
+  setSharingTable(sharingTable) {
+    this.sharingTable = sharingTable;
+  }
+  /**
+   * The time when the app will be deleted, in milliseconds.
+   *
+   * @return {Number} the timestamp
+   */
+  getDeleteOn() {
+    return this.deleteOn;
+  }
+  /**
+   * Sets the time when the app will be deleted, in milliseconds.
+   *
+   * @param {Number} deleteOn
+   */
+  setDeleteOn(deleteOn) {
+    this.deleteOn = deleteOn;
+  }
+  /**
+   * The number of seconds for which the tokens of the app are valid.
+   *
+   * @return {Number} the validity period
+   */
+  getTokenValiditySec() {
+    return this.tokenValiditySec;
+  }
+  /**
+   * Sets the number of seconds for which the tokens of the app are valid.
+   *
+   * @param {Number} tokenValiditySec
+   */
+  setTokenValiditySec(tokenValiditySec) {
+    this.tokenValiditySec = tokenValiditySec;
+  }
+  /**
+   * The custom data types of the app, a map of plural to singular names.
+   *
+   * @return {Object} the data types
+   */
+  getDatatypes() {
+    return this.datatypes;
+  }
+  /**
+   * Sets the custom data types of the app, a map of plural to singular names.
+   *
+   * @param {Object} datatypes
+   */
+  setDatatypes(datatypes) {
+    this.datatypes = datatypes;
+  }
+  /**
+   * The settings of the app.
+   *
+   * @return {Object} the settings
+   */
+  getSettings() {
+    return this.settings;
+  }
+  /**
+   * Sets the settings of the app.
+   *
+   * @param {Object} settings
+   */
+  setSettings(settings) {
+    this.settings = settings;
+  }
+  /**
+   * The resource permissions of the app.
+   *
+   * @return {Object} the permissions
+   */
+  getResourcePermissions() {
+    return this.resourcePermissions;
+  }
+  /**
+   * Sets the resource permissions of the app.
+   *
+   * @param {Object} resourcePermissions
+   */
+  setResourcePermissions(resourcePermissions) {
+    this.resourcePermissions = resourcePermissions;
+  }
+  /**
+   * The validation constraints of the app.
+   *
+   * @return {Object} the constraints
+   */
+  getValidationConstraints() {
+    return this.validationConstraints;
+  }
+  /**
+   * Sets the validation constraints of the app.
+   *
+   * @param {Object} validationConstraints
+   */
+  setValidationConstraints(validationConstraints) {
+    this.validationConstraints = validationConstraints;
+  }
+}
@@ -0,0 +1,92 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+import { LRUCache } from 'lru-cache';
+
+/**
+ * A request interceptor which turns GET requests into conditional requests.
+ * The 'ETag' and 'Last-Modified' headers of each response are remembered per path and query,
+ * and sent back as 'If-None-Match' and 'If-Modified-Since'. When the server responds with
+ * 304 Not Modified, the previously received response is returned instead.
+ * @param {Object} options
+ *   @property {Number} max the maximum number of remembered responses (default: 500)
+ * @returns {ConditionalRequests} an interceptor
+ */
+export default class ConditionalRequests {
+  constructor(options) {
+    options = options || {};
+    this.max = options.max > 0 ? options.max : 500;
+    this.responses = new LRUCache({ max: this.max });
+  }
+  beforeSign(ctx) {
+    var cached = ctx.method === 'GET' ? this.responses.get(getKey(ctx)) : null;
+    if (cached) {
+      if (cached.headers['etag']) {
+        ctx.headers['If-None-Match'] = cached.headers['etag'];
+      }
+      if (cached.headers['last-modified']) {
+        ctx.headers['If-Modified-Since'] = cached.headers['last-modified'];
+      }
+    }
+  }
+  onResponse(response, ctx) {
+    if (ctx.method !== 'GET' || !response) {
+      return;
+    }
+    var key = getKey(ctx);
+    if (response.status === 304) {
+      return this.responses.get(key);
+    }
+    var headers = lowerCaseKeys(response.headers);
+    if (response.status === 200 && (headers['etag'] || headers['last-modified'])) {
+      this.responses.set(key, {
+        status: response.status,
+        headers: headers,
+        body: response.body,
+        text: response.text
+      });
+    } else {
+      this.responses.delete(key);
+    }
+  }
+  /**
+   * Forgets all remembered responses.
+   */
+  clear() {
+    this.responses.clear();
+  }
+}
+
+function getKey(ctx) {
+  var params = ctx.params || {};
+  var query = Object.keys(params)
+    .sort()
+    .map(function (name) {
+      return name + '=' + JSON.stringify(params[name]);
+    });
+  return ctx.path + '?' + query.join('&');
+}
+
+function lowerCaseKeys(headers) {
+  var map = {};
+  for (var key in headers || {}) {
+    map[key.toLowerCase()] = headers[key];
+  }
+  return map;
+}
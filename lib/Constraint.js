@@ -173,4 +173,143 @@ export default class Constraint {
   static url() {
     return new Constraint('url', { message: 'messages.url' });
   }
+  /**
+   * Checks a value against this constraint, like Para does on the server.
+   * Empty values are only rejected by the 'required' constraint.
+   * Unknown constraints, and patterns which use Java syntax that JavaScript can't compile,
+   * accept any value and are left to the server.
+   * @param {*} value a value
+   * @returns {Boolean} true if the value is valid
+   */
+  isValid(value) {
+    var payload = this.getPayload() || {};
+    var name = this.getName();
+    if (name === 'required') {
+      return !isBlank(value);
+    }
+    if (value === null || value === undefined) {
+      return true;
+    }
+    switch (name) {
+      case 'min':
+        return isNumeric(value) && Number(value) >= Number(payload.value);
+      case 'max':
+        return isNumeric(value) && Number(value) <= Number(payload.value);
+      case 'size':
+        var length = getLength(value);
+        return length >= (payload.min || 0) && length <= (payload.max || 0);
+      case 'digits':
+        return hasDigits(value, payload.integer || 0, payload.fraction || 0);
+      case 'pattern':
+        return matchesPattern(payload.value || '', String(value));
+      case 'email':
+        return EMAIL_PATTERN.test(String(value));
+      case 'false':
+        return String(value).toLowerCase() !== 'true';
+      case 'true':
+        return String(value).toLowerCase() === 'true';
+      case 'future':
+        return toTime(value) > Date.now();
+      case 'past':
+        return toTime(value) < Date.now();
+      case 'url':
+        return isUrl(value);
+      default:
+        return true;
+    }
+  }
+  /**
+   * Validates an object against the constraints of its type.
+   * @param {Object} obj a ParaObject or a map of fields
+   * @param {Object} constraints a map of field names to maps of constraint names to payloads,
+   * as returned by ParaClient.validationConstraints() for a type
+   * @param {Array} fields the fields to validate (optional, default: all fields)
+   * @returns {Object} a map of field names to lists of errors, empty if the object is valid.
+   * Each error holds the constraint name in 'constraint', the message key, e.g.
+   * 'messages.required', in 'message' and the rest of the payload, e.g. 'min' and 'max'.
+   */
+  static validate(obj, constraints, fields) {
+    var errors = {};
+    obj = obj || {};
+    for (var field in constraints || {}) {
+      if (fields && fields.indexOf(field) < 0) {
+        continue;
+      }
+      for (var name in constraints[field]) {
+        var payload = constraints[field][name] || {};
+        if (!new Constraint(name, payload).isValid(obj[field])) {
+          errors[field] = errors[field] || [];
+          errors[field].push(
+            Object.assign({ constraint: name, message: 'messages.' + name }, payload)
+          );
+        }
+      }
+    }
+    return errors;
+  }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_SCHEMES = ['http:', 'https:', 'ftp:'];
+
+function isBlank(value) {
+  if (value === null || value === undefined) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  return String(value).trim() === '';
+}
+
+function isNumeric(value) {
+  return (
+    (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) &&
+    isFinite(value)
+  );
+}
+
+function getLength(value) {
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return value.length;
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).length;
+  }
+  return String(value).length;
+}
+
+function hasDigits(value, integer, fraction) {
+  if (!isNumeric(value)) {
+    return false;
+  }
+  var parts = String(value).trim().replace(/^[-+]/, '').split('.');
+  var integral = parts[0].replace(/^0+(?=\d)/, '');
+  return integral.length <= integer && (parts[1] || '').length <= fraction;
+}
+
+function toTime(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return isNumeric(value) ? Number(value) : Date.parse(value);
+}
+
+function matchesPattern(pattern, value) {
+  var regex;
+  try {
+    regex = new RegExp('^(?:' + pattern + ')$');
+  } catch {
+    // e.g. '(?i)' or possessive quantifiers, the server decides
+    return true;
+  }
+  return regex.test(value);
+}
+
+function isUrl(value) {
+  try {
+    return URL_SCHEMES.indexOf(new URL(String(value)).protocol) >= 0;
+  } catch {
+    return false;
+  }
 }
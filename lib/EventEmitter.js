@@ -0,0 +1,93 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+/**
+ * A minimal event emitter which works in Node.js and in browsers.
+ * Errors thrown by listeners are logged and don't stop the other listeners.
+ * @returns {EventEmitter} an event emitter
+ */
+export default class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+  /**
+   * Adds a listener for an event.
+   * @param {String} event the event name
+   * @param {Function} listener called with the event data
+   * @returns {Function} a function which removes the listener
+   */
+  on(event, listener) {
+    var that = this;
+    if (typeof listener === 'function') {
+      this.listeners.set(event, (this.listeners.get(event) || []).concat([listener]));
+    }
+    return function () {
+      that.off(event, listener);
+    };
+  }
+  /**
+   * Adds a listener which is called only once.
+   * @param {String} event the event name
+   * @param {Function} listener called with the event data
+   * @returns {Function} a function which removes the listener
+   */
+  once(event, listener) {
+    var off = this.on(event, function (data) {
+      off();
+      listener(data);
+    });
+    return off;
+  }
+  /**
+   * Removes a listener, or all listeners of an event if no listener is given.
+   * @param {String} event the event name
+   * @param {Function} listener the listener (optional)
+   */
+  off(event, listener) {
+    if (!listener) {
+      this.listeners.delete(event);
+      return;
+    }
+    var listeners = (this.listeners.get(event) || []).filter(function (l) {
+      return l !== listener;
+    });
+    if (listeners.length) {
+      this.listeners.set(event, listeners);
+    } else {
+      this.listeners.delete(event);
+    }
+  }
+  /**
+   * Calls the listeners of an event.
+   * @param {String} event the event name
+   * @param {Object} data the event data
+   * @returns {Boolean} true if the event had listeners
+   */
+  emit(event, data) {
+    var listeners = this.listeners.get(event) || [];
+    listeners.forEach(function (listener) {
+      try {
+        listener(data);
+      } catch (e) {
+        console.error('Error in ' + event + ' listener:', e);
+      }
+    });
+    return listeners.length > 0;
+  }
+}
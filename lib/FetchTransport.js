@@ -0,0 +1,126 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+// these are set by the runtime and must not be passed to fetch()
+const EXCLUDED_HEADERS = ['host', 'content-length'];
+
+/**
+ * HTTP transport based on the Fetch API. Works in Node.js 18+, Deno, Cloudflare Workers
+ * and browsers. See SuperagentTransport for a description of the transport interface.
+ * @param {Function} fetchFn a fetch implementation (default: globalThis.fetch)
+ * @returns {FetchTransport} a transport
+ */
+export default class FetchTransport {
+  constructor(fetchFn) {
+    this.fetch = fetchFn || null;
+  }
+  /**
+   * Sends an HTTP request.
+   * @param {Object} request the request descriptor
+   * @returns {Promise} the response
+   */
+  async send(request) {
+    var fetchFn = this.fetch || globalThis.fetch;
+    if (!fetchFn) {
+      throw new Error('The Fetch API is not available in this environment.');
+    }
+    var headers = {};
+    for (var name in request.headers || {}) {
+      if (EXCLUDED_HEADERS.indexOf(name.toLowerCase()) < 0) {
+        headers[name] = request.headers[name];
+      }
+    }
+    var controller = new AbortController();
+    var timedOut = false;
+    var timer = null;
+    var onAbort = function () {
+      controller.abort();
+    };
+    if (request.signal) {
+      request.signal.addEventListener('abort', onAbort, { once: true });
+    }
+    if (request.timeout) {
+      timer = setTimeout(function () {
+        timedOut = true;
+        controller.abort();
+      }, request.timeout);
+    }
+    try {
+      var res = await fetchFn(request.url + toQueryString(request.query), {
+        method: request.method,
+        headers: headers,
+        body: request.body,
+        signal: controller.signal
+      });
+      var text = await res.text();
+      var responseHeaders = {};
+      res.headers.forEach(function (value, key) {
+        responseHeaders[key.toLowerCase()] = value;
+      });
+      return {
+        status: res.status,
+        headers: responseHeaders,
+        body: parseBody(text, responseHeaders['content-type']),
+        text: text
+      };
+    } catch (e) {
+      if (timedOut) {
+        var error = new Error('Timeout of ' + request.timeout + 'ms exceeded');
+        error.code = 'ETIMEDOUT';
+        error.timeout = request.timeout;
+        throw error;
+      }
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      if (request.signal) {
+        request.signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+}
+
+function toQueryString(query) {
+  if (!query) {
+    return '';
+  }
+  var params = new URLSearchParams();
+  for (var key in query) {
+    var values = Array.isArray(query[key]) ? query[key] : [query[key]];
+    for (var value of values) {
+      if (value !== undefined) {
+        params.append(key, value === null ? '' : value);
+      }
+    }
+  }
+  var qs = params.toString();
+  return qs ? '?' + qs : '';
+}
+
+function parseBody(text, contentType) {
+  if (text && contentType && contentType.indexOf('json') >= 0) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      // a truncated response or an error page, callers can still read the text
+      return null;
+    }
+  }
+  return {};
+}
@@ -0,0 +1,241 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+import Constraint from './Constraint.js';
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+// the largest size Para accepts, used when a schema has no upper bound
+const MAX_SIZE = 2147483647;
+// constraints without a JSON Schema keyword are kept in this annotation
+const EXTENSION_KEYWORD = 'x-para-constraints';
+
+/**
+ * Converts validation constraints to a JSON Schema (draft 2020-12).
+ * <ul>
+ * <li>required - the 'required' list of the object</li>
+ * <li>min, max - 'minimum', 'maximum'</li>
+ * <li>size - 'minLength', 'maxLength'</li>
+ * <li>pattern - 'pattern', anchored because Para matches the whole value</li>
+ * <li>email, url - 'format': 'email', 'uri'</li>
+ * <li>true, false - 'const': true, 'not': { 'const': true }</li>
+ * <li>digits, future, past - the 'x-para-constraints' annotation</li>
+ * </ul>
+ * @param {Object} map the constraints of one or more types, as returned by
+ * ParaClient.validationConstraints()
+ * @param {String} type the type to convert (optional). If not given, each type is converted to
+ * a schema in '$defs'.
+ * @returns {Object} a JSON Schema
+ */
+export function constraintsToJsonSchema(map, type) {
+  map = map || {};
+  if (type) {
+    return Object.assign({ $schema: SCHEMA_DIALECT, title: type }, toObjectSchema(map[type]));
+  }
+  var defs = {};
+  for (var key in map) {
+    defs[key] = Object.assign({ title: key }, toObjectSchema(map[key]));
+  }
+  return { $schema: SCHEMA_DIALECT, $defs: defs };
+}
+
+/**
+ * Converts a JSON Schema (draft 2020-12) to validation constraints. This is the reverse of
+ * constraintsToJsonSchema(). Keywords which have no matching constraint, like 'enum', are ignored.
+ * @param {Object} schema a schema of an object, or a schema with an object schema for each type
+ * in '$defs'
+ * @param {String} type the type of the objects described by the schema (default: the 'title'
+ * of the schema). Ignored if the schema has '$defs'.
+ * @returns {Array} a list of { type, field, constraint } for
+ * ParaClient.addValidationConstraint()
+ */
+export function jsonSchemaToConstraints(schema, type) {
+  schema = schema || {};
+  var list = [];
+  if (schema.$defs) {
+    for (var key in schema.$defs) {
+      addConstraints(list, key, schema.$defs[key]);
+    }
+  } else {
+    addConstraints(list, type || schema.title, schema);
+  }
+  return list;
+}
+
+function toObjectSchema(fields) {
+  var properties = {};
+  var required = [];
+  for (var field in fields || {}) {
+    var property = {};
+    var extensions = {};
+    for (var name in fields[field]) {
+      var payload = fields[field][name] || {};
+      if (name === 'required') {
+        required.push(field);
+      } else if (!addKeywords(property, name, payload)) {
+        extensions[name] = payload;
+      }
+    }
+    if (Object.keys(extensions).length) {
+      property[EXTENSION_KEYWORD] = extensions;
+    }
+    properties[field] = property;
+  }
+  var schema = { type: 'object', properties: properties };
+  if (required.length) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+function addKeywords(property, name, payload) {
+  switch (name) {
+    case 'min':
+      property.minimum = payload.value;
+      return true;
+    case 'max':
+      property.maximum = payload.value;
+      return true;
+    case 'size':
+      property.minLength = payload.min || 0;
+      if (payload.max > 0 && payload.max < MAX_SIZE) {
+        property.maxLength = payload.max;
+      }
+      return true;
+    case 'pattern':
+      property.pattern = '^(?:' + (payload.value || '') + ')$';
+      return true;
+    case 'email':
+      property.format = 'email';
+      return true;
+    case 'url':
+      property.format = 'uri';
+      return true;
+    case 'true':
+      property.const = true;
+      return true;
+    case 'false':
+      property.not = { const: true };
+      return true;
+    default:
+      return false;
+  }
+}
+
+function addConstraints(list, type, schema) {
+  if (!type || !schema) {
+    return;
+  }
+  var properties = schema.properties || {};
+  var add = function (field, constraint) {
+    list.push({ type: type, field: field, constraint: constraint });
+  };
+  (schema.required || []).forEach(function (field) {
+    add(field, Constraint.required());
+  });
+  for (var field in properties) {
+    var property = properties[field] || {};
+    if (isNumber(property.minimum)) {
+      add(field, Constraint.min(property.minimum));
+    }
+    if (isNumber(property.maximum)) {
+      add(field, Constraint.max(property.maximum));
+    }
+    var min = firstNumber(property.minLength, property.minItems, property.minProperties);
+    var max = firstNumber(property.maxLength, property.maxItems, property.maxProperties);
+    if (isNumber(min) || isNumber(max)) {
+      add(field, Constraint.size(min || 0, isNumber(max) ? max : MAX_SIZE));
+    }
+    if (property.pattern) {
+      add(field, Constraint.pattern(toFullMatch(property.pattern)));
+    }
+    if (property.format === 'email') {
+      add(field, Constraint.email());
+    } else if (property.format === 'uri' || property.format === 'url') {
+      add(field, Constraint.url());
+    }
+    if (property.const === true) {
+      add(field, Constraint.truthy());
+    } else if (property.not && property.not.const === true) {
+      add(field, Constraint.falsy());
+    }
+    var extensions = property[EXTENSION_KEYWORD] || {};
+    for (var name in extensions) {
+      add(field, new Constraint(name, extensions[name]));
+    }
+  }
+}
+
+// JSON Schema patterns match anywhere in a value, Para patterns must match the whole value
+function toFullMatch(pattern) {
+  var anchored = /^\^\(\?:([\s\S]*)\)\$$/.exec(pattern);
+  if (anchored && scan(anchored[1]).balanced) {
+    return anchored[1];
+  }
+  var start = pattern[0] === '^';
+  var end = pattern[pattern.length - 1] === '$' && pattern[pattern.length - 2] !== '\\';
+  var body = pattern.substring(start ? 1 : 0, end ? pattern.length - 1 : pattern.length);
+  var parts = scan(body);
+  if (!parts.balanced || parts.alternation) {
+    // the anchors of '^a|b$' only belong to one of the alternatives
+    return '.*(?:' + pattern + ').*';
+  }
+  if (start && end) {
+    return body;
+  }
+  return (start ? '' : '.*') + '(?:' + body + ')' + (end ? '' : '.*');
+}
+
+// finds '|' outside of groups, and whether all groups are closed in order
+function scan(pattern) {
+  var depth = 0;
+  var inClass = false;
+  var result = { alternation: false, balanced: true };
+  for (var i = 0; i < pattern.length; i++) {
+    var c = pattern[i];
+    if (c === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = c !== ']';
+    } else if (c === '[') {
+      inClass = true;
+    } else if (c === '(') {
+      depth++;
+    } else if (c === ')') {
+      depth--;
+      result.balanced = result.balanced && depth >= 0;
+    } else if (c === '|' && depth === 0) {
+      result.alternation = true;
+    }
+  }
+  result.balanced = result.balanced && depth === 0;
+  return result;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function firstNumber() {
+  for (var i = 0; i < arguments.length; i++) {
+    if (isNumber(arguments[i])) {
+      return arguments[i];
+    }
+  }
+  return null;
+}
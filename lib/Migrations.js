@@ -0,0 +1,243 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+import assert from 'assert';
+import Sysprop from './Sysprop.js';
+
+const DEFAULT_STATE_ID = 'para-migrations';
+
+/**
+ * Applies versioned changes to an app, like adding validation constraints or app settings,
+ * and rolls them back. Each migration is an object with these fields:
+ * <ul>
+ * <li>version - a unique version, migrations are applied in version order, e.g. '001'</li>
+ * <li>name - a description (optional)</li>
+ * <li>up(client) - applies the changes, may return a promise</li>
+ * <li>down(client) - undoes the changes (optional, required for rollback())</li>
+ * </ul>
+ * The applied versions are stored in a sysprop object in the app, so each environment keeps
+ * track of its own state. Migrations must not run in parallel against the same app.
+ * @param {ParaClient} client the client
+ * @param {Array} migrations a list of migrations
+ * @param {Object} options
+ *   @property {String} stateId the id of the object holding the state (default: 'para-migrations')
+ * @returns {Migrations} migrations
+ */
+export default class Migrations {
+  constructor(client, migrations, options) {
+    options = options || {};
+    assert(client, 'Parameter client must not be null.');
+    this.client = client;
+    this.stateId = options.stateId || DEFAULT_STATE_ID;
+    this.migrations = (migrations || []).slice().sort(function (a, b) {
+      return compareVersions(a.version, b.version);
+    });
+    var versions = {};
+    this.migrations.forEach(function (m) {
+      assert(m && m.version !== undefined && m.version !== null, 'Migration has no version.');
+      assert(typeof m.up === 'function', 'Migration ' + m.version + ' has no up() function.');
+      assert(!versions[m.version], 'Duplicate migration version ' + m.version + '.');
+      versions[m.version] = true;
+    });
+  }
+  /**
+   * Loads the migrations from the JavaScript modules in a directory. Node.js only.
+   * Each module exports a migration as its default export or as named exports. If it has
+   * no version, the file name up to the first '-', '_' or '.' is used, e.g. '001-add-tags.js'.
+   * @param {ParaClient} client the client
+   * @param {String} dir the path of the directory
+   * @param {Object} options see the constructor
+   * @returns {Promise} migrations
+   */
+  static async fromDirectory(client, dir, options) {
+    var fs = await import('node:fs/promises');
+    var path = await import('node:path');
+    var url = await import('node:url');
+    var files = (await fs.readdir(dir))
+      .filter(function (file) {
+        return /\.(m?js|cjs)$/.test(file);
+      })
+      .sort();
+    var migrations = [];
+    for (var file of files) {
+      var mod = await import(url.pathToFileURL(path.resolve(dir, file)).href);
+      var migration = Object.assign({}, mod.default || mod);
+      if (migration.version === undefined || migration.version === null) {
+        migration.version = file.split(/[-_.]/)[0];
+      }
+      migration.name = migration.name || file;
+      migrations.push(migration);
+    }
+    return new Migrations(client, migrations, options);
+  }
+  /**
+   * Applies the pending migrations in version order. The state is saved after each migration,
+   * so if one fails, the ones before it stay applied.
+   * @param {Object} options
+   *   @property {String} to the last version to apply (default: all)
+   *   @property {Boolean} dryRun if true, nothing is applied
+   * @returns {Promise} the applied versions
+   */
+  async migrate(options) {
+    options = options || {};
+    var state = await this.loadState();
+    var applied = getApplied(state);
+    var pending = this.migrations.filter(function (m) {
+      return (
+        !applied.some(function (a) {
+          return String(a.version) === String(m.version);
+        }) &&
+        (options.to === undefined || compareVersions(m.version, options.to) <= 0)
+      );
+    });
+    var done = [];
+    for (var migration of pending) {
+      if (!options.dryRun) {
+        await migration.up(this.client);
+        applied.push({
+          version: migration.version,
+          name: migration.name || null,
+          appliedAt: Date.now()
+        });
+        await this.saveState(state, applied);
+      }
+      done.push(migration.version);
+    }
+    return done;
+  }
+  /**
+   * Rolls back applied migrations in reverse version order.
+   * @param {Object} options
+   *   @property {Number} steps the number of migrations to roll back (default: 1)
+   *   @property {String} to roll back all migrations after this version, overrides 'steps'
+   *   @property {Boolean} dryRun if true, nothing is rolled back
+   * @returns {Promise} the rolled back versions
+   */
+  async rollback(options) {
+    options = options || {};
+    var that = this;
+    var state = await this.loadState();
+    var applied = getApplied(state).sort(function (a, b) {
+      return compareVersions(b.version, a.version);
+    });
+    var targets = applied.filter(function (a) {
+      return options.to !== undefined && compareVersions(a.version, options.to) > 0;
+    });
+    if (options.to === undefined) {
+      targets = applied.slice(0, options.steps >= 0 ? options.steps : 1);
+    }
+    var migrations = targets.map(function (a) {
+      var migration = that.findMigration(a.version);
+      if (!migration || typeof migration.down !== 'function') {
+        throw new Error('Migration ' + a.version + ' can not be rolled back.');
+      }
+      return migration;
+    });
+    var done = [];
+    for (var migration of migrations) {
+      if (!options.dryRun) {
+        await migration.down(this.client);
+        applied = applied.filter(function (a) {
+          return String(a.version) !== String(migration.version);
+        });
+        await this.saveState(state, applied);
+      }
+      done.push(migration.version);
+    }
+    return done;
+  }
+  /**
+   * Returns the state of each migration, in version order. Applied versions which have no
+   * migration in the list are included with 'missing' set to true.
+   * @returns {Promise} a list of { version, name, applied, appliedAt, missing }
+   */
+  async status() {
+    var applied = getApplied(await this.loadState());
+    var list = this.migrations.map(function (m) {
+      var entry = applied.find(function (a) {
+        return String(a.version) === String(m.version);
+      });
+      return {
+        version: m.version,
+        name: m.name || null,
+        applied: !!entry,
+        appliedAt: entry ? entry.appliedAt : null,
+        missing: false
+      };
+    });
+    var that = this;
+    applied.forEach(function (a) {
+      if (!that.findMigration(a.version)) {
+        list.push({
+          version: a.version,
+          name: a.name || null,
+          applied: true,
+          appliedAt: a.appliedAt,
+          missing: true
+        });
+      }
+    });
+    return list.sort(function (a, b) {
+      return compareVersions(a.version, b.version);
+    });
+  }
+  /**
+   * @param {String} version a version
+   * @returns {Object} the migration with the given version or undefined
+   */
+  findMigration(version) {
+    return this.migrations.find(function (m) {
+      return String(m.version) === String(version);
+    });
+  }
+  /**
+   * Reads the object holding the state from Para, bypassing the object cache.
+   * @returns {Promise} a Sysprop or null if no migrations were applied yet
+   */
+  async loadState() {
+    return this.client.read('sysprop', this.stateId, { cache: false, throwOnNotFound: false });
+  }
+  /**
+   * Saves the applied migrations in the state object.
+   * @param {ParaObject} state the state object, null to create it
+   * @param {Array} applied the applied migrations
+   * @returns {Promise} the saved object
+   */
+  async saveState(state, applied) {
+    if (!state) {
+      state = new Sysprop(this.stateId);
+      state.setName('Migrations');
+    }
+    state.properties = Object.assign({}, state.properties, {
+      applied: applied.slice().sort(function (a, b) {
+        return compareVersions(a.version, b.version);
+      })
+    });
+    return this.client.create(state, { validate: false });
+  }
+}
+
+function getApplied(state) {
+  var applied = state && state.properties && state.properties.applied;
+  return Array.isArray(applied) ? applied.slice() : [];
+}
+
+function compareVersions(a, b) {
+  return String(a).localeCompare(String(b), 'en', { numeric: true });
+}
@@ -0,0 +1,192 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+// the sign in in progress is kept under this key in sessionStorage
+const PENDING_KEY = 'para-oauth';
+const GENERIC_PROVIDERS = ['oauth2', 'oauth2second', 'oauth2third'];
+
+/**
+ * The authorization endpoints and default scopes of the identity providers supported by Para.
+ * The generic OAuth 2.0 providers ('oauth2', 'oauth2second', 'oauth2third') have no defaults,
+ * their 'authorizeUrl' must be given. Twitter uses OAuth 1.0a, so Para starts that flow itself.
+ */
+export const OAUTH_PROVIDERS = {
+  facebook: { authorizeUrl: 'https://www.facebook.com/dialog/oauth', scope: 'email' },
+  google: {
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    scope: 'openid email profile'
+  },
+  github: {
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    scope: 'read:user user:email'
+  },
+  microsoft: {
+    authorizeUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize',
+    scope: 'https://graph.microsoft.com/user.read'
+  },
+  slack: {
+    authorizeUrl: 'https://slack.com/oauth/authorize',
+    scope: 'identity.basic identity.email identity.team identity.avatar'
+  },
+  twitter: {}
+};
+
+/**
+ * Builds the URL which starts the OAuth sign in with a provider. The provider redirects back to
+ * Para at '{endpoint}/{provider}_auth', with the app id in 'state', as Para expects. Para then
+ * signs in the user and redirects to the 'signin_success' URL of the app.
+ * @param {String} endpoint the Para endpoint
+ * @param {String} appid the id of the app
+ * @param {String} provider the identity provider, e.g. 'google'
+ * @param {Object} options
+ *   @property {String} clientId the OAuth client id of the app, registered with the provider
+ *   @property {String} scope the requested scope (default: the provider's default)
+ *   @property {String} authorizeUrl the authorization endpoint (default: the provider's default)
+ *   @property {Object} params additional query parameters
+ * @returns {String} a URL
+ */
+export function buildOAuthUrl(endpoint, appid, provider, options) {
+  options = options || {};
+  var defaults = OAUTH_PROVIDERS[provider];
+  if (!defaults && GENERIC_PROVIDERS.indexOf(provider) < 0) {
+    throw new Error("Unknown identity provider '" + provider + "'.");
+  }
+  var identifier = String(appid || '').replace(/^app:/, '');
+  var redirectUri = endpoint.replace(/\/+$/, '') + '/' + provider + '_auth';
+  if (provider === 'twitter') {
+    return redirectUri + '?' + toQuery(Object.assign({ appid: identifier }, options.params));
+  }
+  var authorizeUrl = options.authorizeUrl || (defaults && defaults.authorizeUrl);
+  if (!authorizeUrl) {
+    throw new Error("Parameter 'authorizeUrl' is required for provider '" + provider + "'.");
+  }
+  if (!options.clientId) {
+    throw new Error("Parameter 'clientId' is required for provider '" + provider + "'.");
+  }
+  var params = {
+    response_type: 'code',
+    client_id: options.clientId,
+    redirect_uri: redirectUri,
+    scope: options.scope || (defaults ? defaults.scope : 'openid email profile'),
+    state: identifier
+  };
+  var separator = authorizeUrl.indexOf('?') >= 0 ? '&' : '?';
+  return authorizeUrl + separator + toQuery(Object.assign(params, options.params));
+}
+
+/**
+ * Reads the result of an OAuth sign in from the URL Para redirected to. The JWT is expected in
+ * the 'jwt' parameter of the query or the fragment.
+ * @param {String} url the URL
+ * @returns {Object} { jwt, error }, both null if the URL has neither
+ */
+export function parseOAuthCallback(url) {
+  var parsed = new URL(url, 'http://localhost');
+  var params = new URLSearchParams(parsed.search);
+  new URLSearchParams(parsed.hash.substring(1)).forEach(function (value, key) {
+    if (!params.has(key)) {
+      params.set(key, value);
+    }
+  });
+  var error = params.get('error_description') || params.get('error');
+  return { jwt: params.get('jwt') || null, error: error || null };
+}
+
+/**
+ * Removes the OAuth result parameters from a URL, so the token doesn't stay in the history.
+ * @param {String} url the URL
+ * @returns {String} the URL without 'jwt', 'error' and 'error_description'
+ */
+export function removeOAuthParams(url) {
+  var parsed = new URL(url);
+  var hash = new URLSearchParams(parsed.hash.substring(1));
+  ['jwt', 'error', 'error_description'].forEach(function (key) {
+    parsed.searchParams.delete(key);
+    hash.delete(key);
+  });
+  parsed.hash = hash.toString();
+  return parsed.toString();
+}
+
+/**
+ * Remembers that this browser session started a sign in, so that a callback can be checked.
+ * @param {Storage} storage the storage, usually sessionStorage
+ * @param {String} provider the identity provider
+ * @returns {Object} the saved { provider, created }
+ */
+export function savePendingSignIn(storage, provider) {
+  var pending = { provider: provider, created: Date.now() };
+  storage.setItem(PENDING_KEY, JSON.stringify(pending));
+  return pending;
+}
+
+/**
+ * Reads and removes the pending sign in. A sign in can only be completed once.
+ * @param {Storage} storage the storage, usually sessionStorage
+ * @param {Number} maxAge the maximum age of the pending sign in in milliseconds
+ * @returns {Object} the pending { provider, created } or null if there is none
+ */
+export function takePendingSignIn(storage, maxAge) {
+  var pending;
+  try {
+    pending = JSON.parse(storage.getItem(PENDING_KEY));
+  } catch {
+    pending = null;
+  }
+  storage.removeItem(PENDING_KEY);
+  if (!pending || !pending.created || Date.now() - pending.created > maxAge) {
+    return null;
+  }
+  return pending;
+}
+
+/**
+ * Checks that a token was issued for this app by the pending sign in, i.e. after it started.
+ * <b>This is not full CSRF protection.</b> Para needs the app id in the state parameter, so the
+ * state can't carry a nonce, and Para exchanges the authorization code itself, so PKCE can't be
+ * used. Tokens from earlier sign ins are rejected, but a token which an attacker gets from Para
+ * while the user's sign in is in progress is accepted.
+ * @param {Object} claims the claims of the token
+ * @param {String} appid the id of the app
+ * @param {Object} pending the pending sign in
+ * @param {Number} clockSkew the allowed difference between the clocks of Para and the browser
+ * in milliseconds
+ * @returns {Boolean} true if the token belongs to the sign in
+ */
+export function isIssuedForSignIn(claims, appid, pending, clockSkew) {
+  if (!claims || !pending || !claims.iat) {
+    return false;
+  }
+  var identifier = String(appid || '').replace(/^app:/, '');
+  if (claims.appid && String(claims.appid).replace(/^app:/, '') !== identifier) {
+    return false;
+  }
+  var issued = claims.iat * 1000;
+  return issued >= pending.created - clockSkew && issued <= Date.now() + clockSkew;
+}
+
+function toQuery(params) {
+  var query = new URLSearchParams();
+  for (var key in params) {
+    if (params[key] !== undefined && params[key] !== null) {
+      query.set(key, params[key]);
+    }
+  }
+  return query.toString();
+}
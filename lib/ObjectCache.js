@@ -0,0 +1,108 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+import { LRUCache } from 'lru-cache';
+import ParaObject from './ParaObject.js';
+
+/**
+ * A least recently used cache for ParaObjects, keyed by 'type/id'.
+ * Objects are stored as copies, so changing a returned object doesn't change the cache.
+ * Objects with 'cached' set to false are never stored.
+ * @param {Object} options
+ *   @property {Number} max the maximum number of cached objects (default: 1000)
+ *   @property {Number} ttl the time to live of each object in milliseconds, 0 means forever (default: 60000)
+ * @returns {ObjectCache} a cache
+ */
+export default class ObjectCache {
+  constructor(options) {
+    options = options || {};
+    var that = this;
+    this.max = options.max > 0 ? options.max : 1000;
+    this.ttl = options.ttl >= 0 ? options.ttl : 60 * 1000;
+    // maps ids to types, so objects can also be found by id only
+    this.types = new Map();
+    this.lru = new LRUCache({
+      max: this.max,
+      ttl: this.ttl,
+      dispose: function (value, key) {
+        if (that.types.get(value.id) === key) {
+          that.types.delete(value.id);
+        }
+      }
+    });
+  }
+  /**
+   * Returns a cached object.
+   * @param {String} type the type of the object, if null the object is looked up by id only
+   * @param {String} id the id of the object
+   * @returns {ParaObject} a copy of the cached object or null
+   */
+  get(type, id) {
+    var key = type ? getKey(type, id) : this.types.get(id);
+    var fields = key ? this.lru.get(key) : undefined;
+    if (!fields) {
+      return null;
+    }
+    return new ParaObject().setFields(JSON.parse(JSON.stringify(fields)));
+  }
+  /**
+   * Stores an object, or removes it if its 'cached' flag is false.
+   * @param {ParaObject} obj the object to store
+   */
+  put(obj) {
+    if (!obj || !obj.id) {
+      return;
+    }
+    if (obj.cached === false) {
+      this.remove(obj.type, obj.id);
+      return;
+    }
+    var key = getKey(obj.type, obj.id);
+    this.lru.set(key, JSON.parse(JSON.stringify(obj)));
+    this.types.set(obj.id, key);
+  }
+  /**
+   * Removes an object from the cache.
+   * @param {String} type the type of the object, if null the object is removed by id only
+   * @param {String} id the id of the object
+   */
+  remove(type, id) {
+    var key = type ? getKey(type, id) : this.types.get(id);
+    if (key) {
+      this.lru.delete(key);
+    }
+  }
+  /**
+   * Removes all objects from the cache.
+   */
+  clear() {
+    this.lru.clear();
+    this.types.clear();
+  }
+  /**
+   * @returns {Number} the number of cached objects
+   */
+  size() {
+    return this.lru.size;
+  }
+}
+
+function getKey(type, id) {
+  return (type || 'sysprop') + '/' + id;
+}
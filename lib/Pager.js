@@ -23,12 +23,13 @@
  * @author Alex Bogdanovski <alex@erudika.com>
  * @param {Number} page page number to start from
  * @param {String} sortby sort by field
- * @param {Boolean} desc sort in descending or ascending order
+ * @param {Boolean} desc sort in descending or ascending order (default: descending)
  * @param {Number} limit limits the results
  *
  * @property {Number} count the total number of results
  * @property {String} lastKey reserved use
  * @property {Array} select selected fields filter for returning only part of an object
+ * @property {Array} sorts additional sort fields, see thenSortBy()
  * @returns {Pager} a pager
  */
 export default class Pager {
@@ -36,10 +37,206 @@ export default class Pager {
     this.page = page || 1;
     this.count = 0;
     this.sortby = sortby || null;
-    this.desc = desc || true;
+    this.desc = desc === undefined || desc === null ? true : !!desc;
     this.limit = limit || 30;
     this.name = '';
     this.lastKey = null;
     this.select = null; // [field1,field2]
+    this.sorts = []; // [{ field: 'field2', desc: false }]
   }
+  /**
+   * Sorts by a single field, replacing all sort fields.
+   * @param {String} field the field name
+   * @param {Boolean} desc true for descending order (default: true)
+   * @returns {Pager} this pager
+   */
+  sortBy(field, desc) {
+    this.sortby = field || null;
+    this.desc = desc !== false;
+    this.sorts = [];
+    return this;
+  }
+  /**
+   * Adds a sort field, used when the previous fields are equal.
+   * @param {String} field the field name
+   * @param {Boolean} desc true for descending order (default: true)
+   * @returns {Pager} this pager
+   */
+  thenSortBy(field, desc) {
+    if (!this.sortby) {
+      return this.sortBy(field, desc);
+    }
+    this.sorts.push({ field: field, desc: desc !== false });
+    return this;
+  }
+  /**
+   * @returns {Array} all sort fields in order, e.g. [{ field: 'name', desc: false }]
+   */
+  getSortFields() {
+    if (!this.sortby) {
+      return [];
+    }
+    return [{ field: this.sortby, desc: this.desc }].concat(this.sorts || []);
+  }
+  /**
+   * Returns the value of the 'sort' parameter: the field name when sorting by a single field,
+   * 'field1:desc,field2:asc' when sorting by several fields.
+   * @returns {String} the sort parameter or null
+   */
+  getSortParam() {
+    var fields = this.getSortFields();
+    if (fields.length <= 1) {
+      return this.sortby;
+    }
+    return fields
+      .map(function (sort) {
+        return sort.field + ':' + (sort.desc ? 'desc' : 'asc');
+      })
+      .join(',');
+  }
+  /**
+   * Sets the sort fields from the value of a 'sort' parameter.
+   * @param {String} sort a field name or 'field1:desc,field2:asc'
+   * @param {Boolean} desc the order of a single field without a direction (default: true)
+   * @returns {Pager} this pager
+   */
+  setSortParam(sort, desc) {
+    var that = this;
+    this.sortBy(null);
+    String(sort || '')
+      .split(',')
+      .forEach(function (part) {
+        var field = part.trim();
+        var fieldDesc = desc;
+        var colon = field.lastIndexOf(':');
+        if (colon > 0 && /^(asc|desc)$/i.test(field.substring(colon + 1))) {
+          fieldDesc = field.substring(colon + 1).toLowerCase() === 'desc';
+          field = field.substring(0, colon);
+        }
+        if (field) {
+          that.thenSortBy(field, fieldDesc);
+        }
+      });
+    return this;
+  }
+  /**
+   * Converts this pager to request parameters.
+   * @returns {Object} a map of parameters
+   */
+  toParams() {
+    var map = {};
+    map['page'] = this.page;
+    map['desc'] = this.desc;
+    map['limit'] = this.limit;
+    if (this.lastKey) {
+      map['lastKey'] = this.lastKey;
+    }
+    if (this.sortby) {
+      map['sort'] = this.getSortParam();
+    }
+    if (this.select && this.select.length) {
+      map['select'] = this.select;
+    }
+    return map;
+  }
+  /**
+   * Converts this pager to a URL query string, e.g. 'page=2&desc=false&limit=30&sort=name'.
+   * @returns {String} a query string
+   */
+  toQueryString() {
+    var params = this.toParams();
+    if (params['select']) {
+      params['select'] = params['select'].join(',');
+    }
+    return new URLSearchParams(params).toString();
+  }
+  /**
+   * Creates a pager from a URL query string, the reverse of toQueryString().
+   * @param {String|URLSearchParams} query a query string, with or without the leading '?'
+   * @returns {Pager} a pager
+   */
+  static fromQueryString(query) {
+    var params = query instanceof URLSearchParams ? query : new URLSearchParams(query || '');
+    var pager = new Pager(toNumber(params.get('page')), null, null, toNumber(params.get('limit')));
+    var desc = params.get('desc');
+    pager.setSortParam(params.get('sort'), desc === null ? true : desc !== 'false');
+    if (!pager.sortby && desc !== null) {
+      pager.desc = desc !== 'false';
+    }
+    pager.lastKey = params.get('lastKey') || null;
+    if (params.get('select')) {
+      pager.select = params.get('select').split(',');
+    }
+    return pager;
+  }
+  /**
+   * Serializes the position of this pager (page, limit, lastKey, sort fields and selected fields)
+   * to an opaque URL-safe token, which can be handed to other clients.
+   * @returns {String} a cursor token
+   */
+  toCursor() {
+    var state = { p: this.page, l: this.limit };
+    if (this.lastKey) {
+      state.k = this.lastKey;
+    }
+    if (this.sortby) {
+      state.s = this.getSortFields().map(function (sort) {
+        return [sort.field, sort.desc ? 1 : 0];
+      });
+    } else {
+      state.d = this.desc ? 1 : 0;
+    }
+    if (this.select && this.select.length) {
+      state.f = this.select;
+    }
+    return encodeCursor(JSON.stringify(state));
+  }
+  /**
+   * Creates a pager from a cursor token returned by toCursor().
+   * @param {String} cursor a cursor token
+   * @returns {Pager} a pager
+   * @throws {Error} if the token is invalid
+   */
+  static fromCursor(cursor) {
+    var state;
+    try {
+      state = JSON.parse(decodeCursor(cursor));
+    } catch {
+      state = null;
+    }
+    if (!state || typeof state !== 'object') {
+      throw new Error('Invalid cursor.');
+    }
+    var pager = new Pager(toNumber(state.p), null, state.d !== 0, toNumber(state.l));
+    (Array.isArray(state.s) ? state.s : []).forEach(function (sort) {
+      pager.thenSortBy(sort[0], sort[1] !== 0);
+    });
+    pager.lastKey = state.k || null;
+    pager.select = Array.isArray(state.f) ? state.f : null;
+    return pager;
+  }
+}
+
+function toNumber(value) {
+  var num = parseInt(value, 10);
+  return num > 0 ? num : null;
+}
+
+function encodeCursor(str) {
+  var bytes = new TextEncoder().encode(str);
+  var binary = '';
+  bytes.forEach(function (b) {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(token) {
+  var base64 = String(token).replace(/-/g, '+').replace(/_/g, '/');
+  var binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, function (c) {
+      return c.charCodeAt(0);
+    })
+  );
 }
@@ -0,0 +1,210 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+import RetryPolicy from './RetryPolicy.js';
+
+/**
+ * Base class for all errors returned by ParaClient.
+ * @param {String} message the error message
+ * @param {Object} details
+ *   @property {Number} status the HTTP status code, 0 if no response was received
+ *   @property {Number} code the error code returned by Para (default: status)
+ *   @property {String} method the HTTP method of the failed request
+ *   @property {String} path the path of the failed request
+ *   @property {String} requestId the value of the 'X-Request-Id' response header
+ *   @property {Object} response the response object { status, headers, body, text }
+ *   @property {Error} cause the original error
+ * @returns {ParaError} an error
+ */
+export default class ParaError extends Error {
+  constructor(message, details) {
+    super(message);
+    details = details || {};
+    this.name = 'ParaError';
+    this.status = details.status || 0;
+    this.code = details.code || this.status;
+    this.method = details.method || null;
+    this.path = details.path || null;
+    this.requestId = details.requestId || null;
+    this.response = details.response || null;
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+  /**
+   * Creates an error of the right type for an unsuccessful response.
+   * @param {Object} response the response object { status, headers, body, text }
+   * @param {String} method the HTTP method
+   * @param {String} path the request path
+   * @returns {ParaError} an error
+   */
+  static fromResponse(response, method, path) {
+    response = response || {};
+    var status = response.status || 0;
+    var body = response.body && typeof response.body === 'object' ? response.body : {};
+    var details = {
+      status: status,
+      code: body.code,
+      method: method,
+      path: path,
+      requestId: getHeader(response.headers, 'x-request-id'),
+      response: response
+    };
+    var message = body.message || response.text || 'ParaClient request failed.';
+    if (status === 404) {
+      return new ParaNotFoundError(message, details);
+    } else if (status === 400 || status === 422) {
+      return new ParaValidationError(message, details);
+    } else if (status === 401 || status === 403) {
+      return new ParaAuthError(message, details);
+    } else if (status === 409 || status === 412) {
+      return new ParaConflictError(message, details);
+    } else if (status === 429) {
+      details.retryAfter = RetryPolicy.parseRetryAfter(getHeader(response.headers, 'retry-after'));
+      return new ParaRateLimitError(message, details);
+    } else if (status >= 500) {
+      return new ParaServerError(message, details);
+    }
+    return new ParaError(message, details);
+  }
+  /**
+   * Wraps an error thrown by the HTTP transport, e.g. a connection failure or timeout.
+   * @param {Error} error the original error
+   * @param {String} method the HTTP method
+   * @param {String} path the request path
+   * @returns {ParaError} an error
+   */
+  static fromError(error, method, path) {
+    if (error instanceof ParaError) {
+      return error;
+    }
+    error = error || {};
+    var details = { method: method, path: path, cause: error };
+    if (error.name === 'AbortError') {
+      return new ParaAbortError('Request aborted: ' + method + ' ' + path, details);
+    }
+    var netError = new ParaNetworkError(error.message || 'ParaClient request failed.', details);
+    netError.code = error.code || null;
+    netError.timeout = error.timeout || null;
+    return netError;
+  }
+}
+
+/**
+ * The requested resource was not found (404).
+ */
+export class ParaNotFoundError extends ParaError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ParaNotFoundError';
+  }
+}
+
+/**
+ * The request was rejected as invalid, e.g. an object failed validation (400).
+ * When an object fails validation on the client, 'errors' holds the errors of each field.
+ */
+export class ParaValidationError extends ParaError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ParaValidationError';
+    this.errors = (details && details.errors) || null;
+  }
+}
+
+/**
+ * The request was not authenticated or not authorized (401, 403).
+ * When signing in fails, 'reason' tells why, e.g. 'invalidCredentials'.
+ */
+export class ParaAuthError extends ParaError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ParaAuthError';
+    this.reason = (details && details.reason) || null;
+  }
+}
+
+/**
+ * The object was changed by someone else since it was loaded (409, 412).
+ * When thrown by an update with optimistic locking, 'local' holds the object which failed to
+ * update and 'server' holds the current copy on the server, or null if it was deleted.
+ */
+export class ParaConflictError extends ParaError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ParaConflictError';
+    this.local = (details && details.local) || null;
+    this.server = (details && details.server) || null;
+  }
+}
+
+/**
+ * Too many requests were sent (429). 'retryAfter' holds the delay requested by the server in ms.
+ */
+export class ParaRateLimitError extends ParaError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ParaRateLimitError';
+    this.retryAfter = (details && details.retryAfter) || 0;
+  }
+}
+
+/**
+ * The server failed to process the request (5xx).
+ */
+export class ParaServerError extends ParaError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ParaServerError';
+  }
+}
+
+/**
+ * No response was received, e.g. because of a connection failure or timeout.
+ * 'code' holds the system error code, like 'ECONNRESET', and 'timeout' is set on timeouts.
+ */
+export class ParaNetworkError extends ParaError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ParaNetworkError';
+  }
+}
+
+/**
+ * The request was cancelled through an AbortSignal. Named 'AbortError' like DOM abort errors.
+ */
+export class ParaAbortError extends ParaError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AbortError';
+    this.aborted = true;
+  }
+}
+
+function getHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  for (var key in headers) {
+    if (key.toLowerCase() === name) {
+      return headers[key];
+    }
+  }
+  return null;
+}
@@ -19,6 +19,9 @@
 
 'use strict';
 
+// the state of each object when it was last loaded or saved, kept out of the object itself
+const snapshots = new WeakMap();
+
 export default class ParaObject {
   constructor(id, type) {
     this.id = id || null;
@@ -267,7 +270,8 @@ export default class ParaObject {
     this.cached = isCached;
   }
   /**
-   * Populates this object with data from a map.
+   * Populates this object with data from a map and takes a snapshot of its state.
+   * Changes are tracked from this point on, see getChanges().
    * @param {Object} map
    * @return {ParaObject} this
    */
@@ -277,8 +281,70 @@ export default class ParaObject {
         this[key] = map[key];
       }
     }
+    this.markClean();
     return this;
   }
+  /**
+   * Returns the fields which changed since the object was loaded. Removed fields are null.
+   * If the object was never loaded, all fields are returned.
+   *
+   * @return {Object} a map of changed fields
+   */
+  getChanges() {
+    var snapshot = snapshots.get(this);
+    var current = clone(this);
+    if (!snapshot) {
+      return current;
+    }
+    var changes = {};
+    for (var key in current) {
+      if (JSON.stringify(current[key]) !== JSON.stringify(snapshot[key])) {
+        changes[key] = current[key];
+      }
+    }
+    for (var old in snapshot) {
+      if (!Object.prototype.hasOwnProperty.call(current, old)) {
+        changes[old] = null;
+      }
+    }
+    return changes;
+  }
+  /**
+   * @return {Boolean} true if any field changed since the object was loaded
+   */
+  isDirty() {
+    return !snapshots.has(this) || Object.keys(this.getChanges()).length > 0;
+  }
+  /**
+   * Undoes all changes made since the object was loaded.
+   *
+   * @return {ParaObject} this
+   */
+  revert() {
+    var snapshot = snapshots.get(this);
+    if (snapshot) {
+      for (var key in this) {
+        if (!Object.prototype.hasOwnProperty.call(snapshot, key)) {
+          delete this[key];
+        }
+      }
+      Object.assign(this, clone(snapshot));
+    }
+    return this;
+  }
+  /**
+   * Takes a snapshot of the current state, e.g. after the object was saved.
+   *
+   * @return {ParaObject} this
+   */
+  markClean() {
+    snapshots.set(this, clone(this));
+    return this;
+  }
+}
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
 }
 
 function urlEncode(path) {
@@ -0,0 +1,216 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+// characters with a special meaning in the Lucene query syntax
+const SPECIAL_CHARS = /[+\-&|!(){}[\]^"~*?:\\/\s]/g;
+const WILDCARD_SPECIAL_CHARS = /[+\-&|!(){}[\]^"~:\\/\s]/g;
+const RESERVED_WORDS = /^(AND|OR|NOT|TO)$/;
+
+/**
+ * A builder for Lucene query strings, which can be passed to findQuery() and the other search
+ * methods in place of a query string. Values are escaped, so user input can be used safely.
+ * Clauses added with term(), phrase(), range(), etc. must all match. Use should() and not()
+ * for optional and excluded clauses:
+ * <pre>
+ * new Query()
+ *   .term('type', 'cat')
+ *   .should(new Query().phrase('name', 'Tom Cat').boost(2))
+ *   .should(new Query().wildcard('name', 'Garf*'))
+ *   .not(new Query().exists('deleted'))
+ *   .toString(); // type:cat AND (name:"Tom Cat"^2 OR name:Garf*) AND NOT _exists_:deleted
+ * </pre>
+ * Dates are converted to timestamps in milliseconds, like the 'timestamp' and 'updated' fields.
+ * @returns {Query} a query
+ */
+export default class Query {
+  constructor() {
+    this.clauses = [];
+  }
+  /**
+   * Matches objects where a field has a given value.
+   * @param {String} field a field name, null for all fields
+   * @param {String|Number|Boolean|Date} value the value
+   * @returns {Query} this query
+   */
+  term(field, value) {
+    return this.must(withField(field, escapeValue(value)));
+  }
+  /**
+   * Matches objects where a field contains a sequence of words.
+   * @param {String} field a field name, null for all fields
+   * @param {String} text the words
+   * @returns {Query} this query
+   */
+  phrase(field, text) {
+    return this.must(withField(field, quote(text)));
+  }
+  /**
+   * Matches objects where a field has a value between two bounds.
+   * @param {String} field a field name
+   * @param {String|Number|Date} from the lower bound, null for no lower bound
+   * @param {String|Number|Date} to the upper bound, null for no upper bound
+   * @param {Boolean} exclusive if true, the bounds are excluded (default: false)
+   * @returns {Query} this query
+   */
+  range(field, from, to, exclusive) {
+    var bounds = rangeValue(from) + ' TO ' + rangeValue(to);
+    return this.must(withField(field, exclusive ? '{' + bounds + '}' : '[' + bounds + ']'));
+  }
+  /**
+   * Matches objects where a field matches a pattern with '*' and '?' wildcards.
+   * @param {String} field a field name, null for all fields
+   * @param {String} pattern the pattern, e.g. 'cat*'
+   * @returns {Query} this query
+   */
+  wildcard(field, pattern) {
+    return this.must(withField(field, String(pattern).replace(WILDCARD_SPECIAL_CHARS, '\\$&')));
+  }
+  /**
+   * Matches objects which have a value for a field.
+   * @param {String} field a field name
+   * @returns {Query} this query
+   */
+  exists(field) {
+    return this.must('_exists_:' + escapeField(field));
+  }
+  /**
+   * Adds a clause which must match.
+   * @param {Query|String} query a query or a raw query string, which is not escaped
+   * @returns {Query} this query
+   */
+  must(query) {
+    return addClause(this, 'must', query);
+  }
+  /**
+   * Adds a clause of which at least one should match.
+   * @param {Query|String} query a query or a raw query string, which is not escaped
+   * @returns {Query} this query
+   */
+  should(query) {
+    return addClause(this, 'should', query);
+  }
+  /**
+   * Adds a clause which must not match.
+   * @param {Query|String} query a query or a raw query string, which is not escaped
+   * @returns {Query} this query
+   */
+  not(query) {
+    return addClause(this, 'not', query);
+  }
+  /**
+   * Boosts the relevance of the last clause.
+   * @param {Number} factor the boost factor
+   * @returns {Query} this query
+   */
+  boost(factor) {
+    var clause = this.clauses[this.clauses.length - 1];
+    if (clause && factor > 0) {
+      clause.boost = factor;
+    }
+    return this;
+  }
+  /**
+   * @returns {Boolean} true if no clauses were added
+   */
+  isEmpty() {
+    return this.clauses.length === 0;
+  }
+  /**
+   * @returns {String} the Lucene query string, '*' if the query is empty
+   */
+  toString() {
+    var musts = [];
+    var shoulds = [];
+    var nots = [];
+    this.clauses.forEach(function (clause) {
+      var str = clause.boost ? clause.query + '^' + clause.boost : clause.query;
+      if (clause.occur === 'should') {
+        shoulds.push(str);
+      } else if (clause.occur === 'not') {
+        nots.push('NOT ' + str);
+      } else {
+        musts.push(str);
+      }
+    });
+    if (shoulds.length > 1 && (musts.length || nots.length)) {
+      musts.push('(' + shoulds.join(' OR ') + ')');
+    } else if (shoulds.length) {
+      musts.push(shoulds.join(' OR '));
+    }
+    if (!musts.length && nots.length) {
+      musts.push('*');
+    }
+    return musts.concat(nots).join(' AND ') || '*';
+  }
+  /**
+   * Escapes the special characters of the Lucene query syntax in a string.
+   * @param {String} value a string
+   * @returns {String} the escaped string
+   */
+  static escape(value) {
+    return String(value).replace(SPECIAL_CHARS, '\\$&');
+  }
+}
+
+function addClause(query, occur, clause) {
+  if (clause instanceof Query) {
+    if (clause.isEmpty()) {
+      return query;
+    }
+    var boost = clause.clauses.length === 1 ? clause.clauses[0].boost : null;
+    var str = clause.toString();
+    if (boost) {
+      // keep the boost of a single clause on the outer clause
+      str = str.substring(0, str.lastIndexOf('^'));
+    } else if (clause.clauses.length > 1 || clause.clauses[0].occur !== 'must') {
+      str = '(' + str + ')';
+    }
+    query.clauses.push({ occur: occur, query: str, boost: boost });
+  } else if (clause) {
+    query.clauses.push({ occur: occur, query: String(clause), boost: null });
+  }
+  return query;
+}
+
+function withField(field, value) {
+  return field ? escapeField(field) + ':' + value : value;
+}
+
+function escapeField(field) {
+  return String(field).replace(SPECIAL_CHARS, '\\$&');
+}
+
+function escapeValue(value) {
+  if (value instanceof Date) {
+    return String(value.getTime());
+  }
+  var str = String(value);
+  return RESERVED_WORDS.test(str) ? quote(str) : Query.escape(str);
+}
+
+function rangeValue(value) {
+  if (value === null || value === undefined) {
+    return '*';
+  }
+  return escapeValue(value);
+}
+
+function quote(text) {
+  return '"' + String(text).replace(/["\\]/g, '\\$&') + '"';
+}
@@ -0,0 +1,95 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+/**
+ * A token bucket rate limiter which queues outgoing requests in FIFO order.
+ * The bucket holds up to 'burst' tokens and is refilled at 'requestsPerSecond'.
+ * When the server responds with 429 Too Many Requests, the queue can be paused
+ * until the time given in the 'Retry-After' header has passed.
+ * @param {Object} options
+ *   @property {Number} requestsPerSecond the maximum request rate, 0 means unlimited (default: 0)
+ *   @property {Number} burst the maximum number of requests sent at once (default: requestsPerSecond)
+ * @returns {RateLimiter} a rate limiter
+ */
+export default class RateLimiter {
+  constructor(options) {
+    options = options || {};
+    this.requestsPerSecond = options.requestsPerSecond > 0 ? options.requestsPerSecond : 0;
+    this.burst = options.burst > 0 ? options.burst : Math.max(1, this.requestsPerSecond);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+  /**
+   * Waits until a request is allowed to go through.
+   * @returns {Promise} resolved when the request can be sent
+   */
+  acquire() {
+    var that = this;
+    var next = this.queue.then(function () {
+      return that.waitForToken();
+    });
+    this.queue = next;
+    return next;
+  }
+  /**
+   * Stops all queued requests for a given period of time.
+   * @param {Number} millis the pause duration in milliseconds
+   */
+  pause(millis) {
+    if (millis > 0) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + millis);
+    }
+  }
+  /**
+   * @returns {Boolean} true if the queue is paused
+   */
+  isPaused() {
+    return this.pausedUntil > Date.now();
+  }
+  async waitForToken() {
+    while (true) {
+      var now = Date.now();
+      if (this.pausedUntil > now) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+      if (!this.requestsPerSecond) {
+        return;
+      }
+      this.tokens = Math.min(
+        this.burst,
+        this.tokens + ((now - this.lastRefill) * this.requestsPerSecond) / 1000
+      );
+      this.lastRefill = now;
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this.tokens) * 1000) / this.requestsPerSecond));
+    }
+  }
+}
+
+function sleep(millis) {
+  return new Promise(function (done) {
+    setTimeout(done, millis);
+  });
+}
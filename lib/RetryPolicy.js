@@ -0,0 +1,136 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+const RETRYABLE_STATUS_CODES = [408, 429, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+];
+
+/**
+ * Controls how failed API requests are retried. Each attempt is delayed exponentially,
+ * i.e. baseDelay, 2 * baseDelay, 4 * baseDelay... up to maxDelay.
+ * Only idempotent HTTP methods are retried unless retryNonIdempotent is set. Requests rejected
+ * with 429 Too Many Requests were never processed, so they are retried regardless of method.
+ * A 'Retry-After' response header takes precedence over the calculated delay.
+ * @param {Object} options
+ *   @property {Number} maxAttempts the total number of attempts, including the first one (default: 3)
+ *   @property {Number} baseDelay the delay before the first retry, in milliseconds (default: 200)
+ *   @property {Number} maxDelay the maximum delay between two attempts, in milliseconds (default: 10000)
+ *   @property {Boolean} jitter if true, each delay is randomized between 0 and its full value (default: true)
+ *   @property {Array} statusCodes HTTP status codes which are retried (default: 408, 429, 502, 503, 504)
+ *   @property {Array} methods HTTP methods which are retried (default: GET, HEAD, OPTIONS, PUT, DELETE)
+ *   @property {Boolean} retryNonIdempotent if true, POST and PATCH requests are also retried (default: false)
+ * @returns {RetryPolicy} a retry policy
+ */
+export default class RetryPolicy {
+  constructor(options) {
+    options = options || {};
+    this.maxAttempts = isNumber(options.maxAttempts) ? Math.max(1, options.maxAttempts) : 3;
+    this.baseDelay = isNumber(options.baseDelay) ? options.baseDelay : 200;
+    this.maxDelay = isNumber(options.maxDelay) ? options.maxDelay : 10000;
+    this.jitter = options.jitter !== false;
+    this.statusCodes = options.statusCodes || RETRYABLE_STATUS_CODES;
+    this.methods = (options.methods || IDEMPOTENT_METHODS).map(function (m) {
+      return m.toUpperCase();
+    });
+    this.retryNonIdempotent = options.retryNonIdempotent === true;
+  }
+  /**
+   * Checks if a failed request should be attempted again.
+   * @param {String} httpMethod the HTTP method of the request
+   * @param {Error} error the error returned by the last attempt
+   * @param {Number} attempt the number of attempts made so far
+   * @returns {Boolean} true if the request can be retried
+   */
+  shouldRetry(httpMethod, error, attempt) {
+    if (!error || attempt >= this.maxAttempts) {
+      return false;
+    }
+    var status = getStatus(error);
+    if (status === 429) {
+      return this.statusCodes.indexOf(status) >= 0;
+    }
+    if (!this.retryNonIdempotent && this.methods.indexOf(String(httpMethod).toUpperCase()) < 0) {
+      return false;
+    }
+    if (status) {
+      return this.statusCodes.indexOf(status) >= 0;
+    }
+    return !!error.timeout || NETWORK_ERROR_CODES.indexOf(error.code) >= 0;
+  }
+  /**
+   * Calculates the delay before the next attempt.
+   * @param {Number} attempt the number of attempts made so far
+   * @param {Error} error the error returned by the last attempt (optional)
+   * @returns {Number} delay in milliseconds
+   */
+  getDelay(attempt, error) {
+    var delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+    if (this.jitter) {
+      delay = Math.floor(Math.random() * delay);
+    }
+    return Math.max(delay, this.getRetryAfter(error));
+  }
+  /**
+   * Reads the 'Retry-After' header of a failed response.
+   * The header value is either a number of seconds or an HTTP date.
+   * @param {Error} error the error returned by the last attempt
+   * @returns {Number} the delay requested by the server in milliseconds, or 0
+   */
+  getRetryAfter(error) {
+    var headers = error && error.response ? error.response.headers : null;
+    return RetryPolicy.parseRetryAfter(
+      headers ? headers['retry-after'] || headers['Retry-After'] : null
+    );
+  }
+  /**
+   * Parses the value of a 'Retry-After' header.
+   * @param {String} value a number of seconds or an HTTP date
+   * @returns {Number} the delay in milliseconds, or 0
+   */
+  static parseRetryAfter(value) {
+    if (!value) {
+      return 0;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+    var date = Date.parse(value);
+    return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+  }
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && !isNaN(value);
+}
+
+function getStatus(error) {
+  if (error.status) {
+    return error.status;
+  }
+  return error.response ? error.response.status : 0;
+}
@@ -0,0 +1,82 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+import superagent from 'superagent';
+
+/**
+ * HTTP transport based on superagent. This is the default transport in Node.js.
+ * A transport takes a request descriptor and returns a promise for the response:
+ * <pre>
+ * send({ method, url, query, headers, body, timeout, signal })
+ *   => Promise({ status, headers, body, text })
+ * </pre>
+ * The promise is resolved for every HTTP status code and rejected only if no response
+ * was received, e.g. on network errors and timeouts.
+ * @param {Function} agent a superagent instance (default: superagent)
+ * @returns {SuperagentTransport} a transport
+ */
+export default class SuperagentTransport {
+  constructor(agent) {
+    this.agent = agent || superagent;
+  }
+  /**
+   * @returns {Boolean} true if superagent can be used in this environment
+   */
+  static isAvailable() {
+    return !!superagent;
+  }
+  /**
+   * Sends an HTTP request.
+   * @param {Object} request the request descriptor
+   * @returns {Promise} the response
+   */
+  send(request) {
+    var req = this.agent(request.method, request.url)
+      .query(request.query)
+      .set(request.headers || {})
+      .ok(function () {
+        return true;
+      });
+    if (request.timeout) {
+      req.timeout({ response: request.timeout, deadline: request.timeout });
+    }
+    var onAbort = function () {
+      req.abort();
+    };
+    if (request.signal) {
+      request.signal.addEventListener('abort', onAbort, { once: true });
+    }
+    return req
+      .send(request.body)
+      .then(function (res) {
+        return {
+          status: res.status,
+          headers: res.headers || res.header || {},
+          body: res.body,
+          text: res.text
+        };
+      })
+      .finally(function () {
+        // signals may be shared by many requests
+        if (request.signal) {
+          request.signal.removeEventListener('abort', onAbort);
+        }
+      });
+  }
+}
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+
+'use strict';
+
+import ParaObject from './ParaObject.js';
+
+/**
+ * A generic object with a map of custom properties. Objects of unknown types are
+ * also stored as sysprops.
+ */
+export default class Sysprop extends ParaObject {
+  constructor(id) {
+    super(id, 'sysprop');
+  }
+  /**
+   * The custom properties.
+   *
+   * @return {Object} the properties
+   */
+  getProperties() {
+    return this.properties;
+  }
+  /**
+   * Sets the custom properties.
+   *
+   * @param {Object} properties
+   */
+  setProperties(properties) {
+    this.properties = properties;
+  }
+  /**
+   * Returns the value of a custom property.
+   *
+   * @param {String} name the property name
+   * @return {*} the value or undefined
+   */
+  getProperty(name) {
+    return this.properties ? this.properties[name] : undefined;
+  }
+  /**
+   * Sets the value of a custom property.
+   *
+   * @param {String} name the property name
+   * @param {*} value the value
+   * @return {Sysprop} this
+   */
+  addProperty(name, value) {
+    if (name) {
+      this.properties = this.properties || {};
+      this.properties[name] = value;
+    }
+    return this;
+  }
+  /**
+   * Removes a custom property.
+   *
+   * @param {String} name the property name
+   * @return {Sysprop} this
+   */
+  removeProperty(name) {
+    if (this.properties) {
+      delete this.properties[name];
+    }
+    return this;
+  }
+  /**
+   * @param {String} name the property name
+   * @return {Boolean} true if the property is set
+   */
+  hasProperty(name) {
+    return !!this.properties && Object.prototype.hasOwnProperty.call(this.properties, name);
+  }
+}
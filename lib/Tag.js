@@ -0,0 +1,63 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+
+'use strict';
+
+import ParaObject from './ParaObject.js';
+
+/**
+ * A tag. The id of a tag is 'tag:' followed by the tag itself and 'count' holds the
+ * number of objects tagged with it.
+ */
+export default class Tag extends ParaObject {
+  constructor(id) {
+    super(id, 'tag');
+  }
+  /**
+   * The tag.
+   *
+   * @return {String} the tag
+   */
+  getTag() {
+    return this.tag;
+  }
+  /**
+   * Sets the tag.
+   *
+   * @param {String} tag
+   */
+  setTag(tag) {
+    this.tag = tag;
+  }
+  /**
+   * The number of objects with this tag.
+   *
+   * @return {Number} the count
+   */
+  getCount() {
+    return this.count;
+  }
+  /**
+   * Sets the number of objects with this tag.
+   *
+   * @param {Number} count
+   */
+  setCount(count) {
+    this.count = count;
+  }
+}
@@ -0,0 +1,196 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+'use strict';
+
+const DEFAULT_KEY = 'para-jwt';
+
+/**
+ * Keeps the JWT access token of a ParaClient in memory. This is also the interface of all
+ * token stores: get(), set(data) and clear(), where data is { token, expires, refresh }.
+ * The methods may return promises.
+ * @returns {TokenStore} a token store
+ */
+export default class TokenStore {
+  constructor() {
+    this.data = null;
+  }
+  /**
+   * @returns {Object} the stored { token, expires, refresh } or null
+   */
+  get() {
+    return this.data;
+  }
+  /**
+   * Stores a token.
+   * @param {Object} data { token, expires, refresh }
+   */
+  set(data) {
+    this.data = data;
+  }
+  /**
+   * Removes the stored token.
+   */
+  clear() {
+    this.data = null;
+  }
+}
+
+/**
+ * Keeps the token in a Web Storage object, like 'localStorage' or 'sessionStorage' in browsers,
+ * so it survives page reloads.
+ * @param {Storage} storage the storage (default: localStorage)
+ * @param {String} key the storage key (default: 'para-jwt')
+ * @returns {WebStorageTokenStore} a token store
+ */
+export class WebStorageTokenStore extends TokenStore {
+  constructor(storage, key) {
+    super();
+    this.storage = storage || globalThis.localStorage;
+    this.key = key || DEFAULT_KEY;
+    if (!this.storage) {
+      throw new Error('Web Storage is not available.');
+    }
+  }
+  get() {
+    try {
+      return JSON.parse(this.storage.getItem(this.key));
+    } catch {
+      return null;
+    }
+  }
+  set(data) {
+    this.storage.setItem(this.key, JSON.stringify(data));
+  }
+  clear() {
+    this.storage.removeItem(this.key);
+  }
+}
+
+/**
+ * Keeps the token in a file, encrypted with AES-256-GCM using a key derived from a secret,
+ * e.g. for command line tools. The file is only readable by its owner. Node.js only.
+ * @param {Object} options
+ *   @property {String} path the file path (default: ~/.para/jwt.json)
+ *   @property {String} secret the secret used to encrypt the file
+ * @returns {FileTokenStore} a token store
+ */
+export class FileTokenStore extends TokenStore {
+  constructor(options) {
+    super();
+    options = options || {};
+    if (!options.secret) {
+      throw new Error('A secret is required to encrypt the token file.');
+    }
+    this.path = options.path || null;
+    this.secret = options.secret;
+    // the last derived key and its salt, because deriving a key is slow on purpose
+    this.derived = null;
+  }
+  async get() {
+    var node = await nodeModules();
+    var file;
+    try {
+      file = JSON.parse(await node.fs.readFile(await this.getPath(), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return null;
+      }
+      throw e;
+    }
+    try {
+      var key = await this.getKey(node, Buffer.from(file.salt, 'base64'));
+      var decipher = node.crypto.createDecipheriv(
+        'aes-256-gcm',
+        key,
+        Buffer.from(file.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+      var data = Buffer.concat([
+        decipher.update(Buffer.from(file.data, 'base64')),
+        decipher.final()
+      ]);
+      return JSON.parse(data.toString('utf8'));
+    } catch {
+      // the secret changed or the file was modified
+      return null;
+    }
+  }
+  async set(data) {
+    var node = await nodeModules();
+    var salt = this.derived ? this.derived.salt : node.crypto.randomBytes(16);
+    var iv = node.crypto.randomBytes(12);
+    var key = await this.getKey(node, salt);
+    var cipher = node.crypto.createCipheriv('aes-256-gcm', key, iv);
+    var encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+    var file = {
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64')
+    };
+    var path = await this.getPath();
+    await node.fs.mkdir(node.path.dirname(path), { recursive: true, mode: 0o700 });
+    await node.fs.writeFile(path, JSON.stringify(file), { mode: 0o600 });
+    // the mode only applies to new files
+    await node.fs.chmod(path, 0o600);
+  }
+  async clear() {
+    var node = await nodeModules();
+    await node.fs.rm(await this.getPath(), { force: true });
+  }
+  /**
+   * Derives the encryption key from the secret, without blocking the event loop.
+   * @param {Object} node the Node.js modules
+   * @param {Buffer} salt the salt
+   * @returns {Promise} the key
+   */
+  async getKey(node, salt) {
+    if (this.derived && this.derived.salt.equals(salt)) {
+      return this.derived.key;
+    }
+    var secret = this.secret;
+    var key = await new Promise(function (resolve, reject) {
+      node.crypto.scrypt(secret, salt, 32, function (err, derivedKey) {
+        return err ? reject(err) : resolve(derivedKey);
+      });
+    });
+    this.derived = { salt: salt, key: key };
+    return key;
+  }
+  /**
+   * @returns {Promise} the path of the token file
+   */
+  async getPath() {
+    if (!this.path) {
+      var node = await nodeModules();
+      this.path = node.path.join(node.os.homedir(), '.para', 'jwt.json');
+    }
+    return this.path;
+  }
+}
+
+// loaded on demand, so that browser bundles don't depend on them
+async function nodeModules() {
+  var modules = await Promise.all([
+    import('node:crypto'),
+    import('node:fs/promises'),
+    import('node:os'),
+    import('node:path')
+  ]);
+  return { crypto: modules[0], fs: modules[1], os: modules[2], path: modules[3] };
+}
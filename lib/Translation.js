@@ -0,0 +1,94 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+
+'use strict';
+
+import ParaObject from './ParaObject.js';
+
+/**
+ * A translation of a language key, suggested by a user.
+ */
+export default class Translation extends ParaObject {
+  constructor(id) {
+    super(id, 'translation');
+  }
+  /**
+   * The locale, e.g. 'de'.
+   *
+   * @return {String} the locale
+   */
+  getLocale() {
+    return this.locale;
+  }
+  /**
+   * Sets the locale, e.g. 'de'.
+   *
+   * @param {String} locale
+   */
+  setLocale(locale) {
+    this.locale = locale;
+  }
+  /**
+   * The language key.
+   *
+   * @return {String} the key
+   */
+  getThekey() {
+    return this.thekey;
+  }
+  /**
+   * Sets the language key.
+   *
+   * @param {String} thekey
+   */
+  setThekey(thekey) {
+    this.thekey = thekey;
+  }
+  /**
+   * The translated text.
+   *
+   * @return {String} the text
+   */
+  getValue() {
+    return this.value;
+  }
+  /**
+   * Sets the translated text.
+   *
+   * @param {String} value
+   */
+  setValue(value) {
+    this.value = value;
+  }
+  /**
+   * The "approved" flag.
+   *
+   * @return {Boolean} true if the translation was approved
+   */
+  getApproved() {
+    return this.approved;
+  }
+  /**
+   * Sets the "approved" flag.
+   *
+   * @param {Boolean} approved true if the translation was approved
+   */
+  setApproved(approved) {
+    this.approved = approved;
+  }
+}
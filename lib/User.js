@@ -0,0 +1,155 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+
+'use strict';
+
+import ParaObject from './ParaObject.js';
+
+/**
+ * A user of an app. Users sign in with an identifier, like an email address or an
+ * identity provider id, and belong to one of the groups 'admins', 'mods' or 'users'.
+ */
+export default class User extends ParaObject {
+  constructor(id) {
+    super(id, 'user');
+  }
+  /**
+   * The identifier of the user, e.g. an email or 'fb:123'.
+   *
+   * @return {String} the identifier
+   */
+  getIdentifier() {
+    return this.identifier;
+  }
+  /**
+   * Sets the identifier of the user, e.g. an email or 'fb:123'.
+   *
+   * @param {String} identifier
+   */
+  setIdentifier(identifier) {
+    this.identifier = identifier;
+  }
+  /**
+   * The group of the user: 'admins', 'mods' or 'users'.
+   *
+   * @return {String} the group
+   */
+  getGroups() {
+    return this.groups;
+  }
+  /**
+   * Sets the group of the user: 'admins', 'mods' or 'users'.
+   *
+   * @param {String} groups
+   */
+  setGroups(groups) {
+    this.groups = groups;
+  }
+  /**
+   * The "active" flag.
+   *
+   * @return {Boolean} true if the user account is active
+   */
+  getActive() {
+    return this.active;
+  }
+  /**
+   * Sets the "active" flag.
+   *
+   * @param {Boolean} active true if the user account is active
+   */
+  setActive(active) {
+    this.active = active;
+  }
+  /**
+   * The email address of the user.
+   *
+   * @return {String} the email
+   */
+  getEmail() {
+    return this.email;
+  }
+  /**
+   * Sets the email address of the user.
+   *
+   * @param {String} email
+   */
+  setEmail(email) {
+    this.email = email;
+  }
+  /**
+   * The preferred currency of the user, e.g. 'EUR'.
+   *
+   * @return {String} the currency code
+   */
+  getCurrency() {
+    return this.currency;
+  }
+  /**
+   * Sets the preferred currency of the user, e.g. 'EUR'.
+   *
+   * @param {String} currency
+   */
+  setCurrency(currency) {
+    this.currency = currency;
+  }
+  /**
+   * The URL of the profile picture.
+   *
+   * @return {String} the picture URL
+   */
+  getPicture() {
+    return this.picture;
+  }
+  /**
+   * Sets the URL of the profile picture.
+   *
+   * @param {String} picture
+   */
+  setPicture(picture) {
+    this.picture = picture;
+  }
+  /**
+   * The "twoFA" flag.
+   *
+   * @return {Boolean} true if two-factor authentication is enabled
+   */
+  getTwoFA() {
+    return this.twoFA;
+  }
+  /**
+   * Sets the "twoFA" flag.
+   *
+   * @param {Boolean} twoFA true if two-factor authentication is enabled
+   */
+  setTwoFA(twoFA) {
+    this.twoFA = twoFA;
+  }
+  /**
+   * @return {Boolean} true if the user is an administrator
+   */
+  isAdmin() {
+    return this.groups === 'admins';
+  }
+  /**
+   * @return {Boolean} true if the user is a moderator or an administrator
+   */
+  isModerator() {
+    return this.groups === 'mods' || this.isAdmin();
+  }
+}
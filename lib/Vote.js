@@ -0,0 +1,85 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+
+'use strict';
+
+import ParaObject from './ParaObject.js';
+
+/**
+ * A vote for or against an object, cast by a user. The id of a vote is the id of
+ * the voter followed by the id of the object.
+ */
+export default class Vote extends ParaObject {
+  constructor(id) {
+    super(id, 'vote');
+  }
+  /**
+   * The value of the vote: 'UP' or 'DOWN'.
+   *
+   * @return {String} the value
+   */
+  getValue() {
+    return this.value;
+  }
+  /**
+   * Sets the value of the vote: 'UP' or 'DOWN'.
+   *
+   * @param {String} value
+   */
+  setValue(value) {
+    this.value = value;
+  }
+  /**
+   * The number of seconds after which the vote expires.
+   *
+   * @return {Number} the expiration period
+   */
+  getExpiresAfter() {
+    return this.expiresAfter;
+  }
+  /**
+   * Sets the number of seconds after which the vote expires.
+   *
+   * @param {Number} expiresAfter
+   */
+  setExpiresAfter(expiresAfter) {
+    this.expiresAfter = expiresAfter;
+  }
+  /**
+   * The number of seconds after which the vote can't be changed.
+   *
+   * @return {Number} the lock period
+   */
+  getLockedAfter() {
+    return this.lockedAfter;
+  }
+  /**
+   * Sets the number of seconds after which the vote can't be changed.
+   *
+   * @param {Number} lockedAfter
+   */
+  setLockedAfter(lockedAfter) {
+    this.lockedAfter = lockedAfter;
+  }
+  /**
+   * @return {Boolean} true if this is a vote for the object
+   */
+  isUpvote() {
+    return this.value === 'UP';
+  }
+}
@@ -0,0 +1,223 @@
+/*
+ * Copyright 2013-2026 Erudika. https://erudika.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * For issues and patches go to: https://github.com/erudika
+ */
+
+'use strict';
+
+import ParaObject from './ParaObject.js';
+
+/**
+ * A webhook, which sends a POST request to a URL when objects are created, updated
+ * or deleted, or when a custom event is fired.
+ */
+export default class Webhook extends ParaObject {
+  constructor(id) {
+    super(id, 'webhook');
+  }
+  /**
+   * The URL which receives the events.
+   *
+   * @return {String} the URL
+   */
+  getTargetUrl() {
+    return this.targetUrl;
+  }
+  /**
+   * Sets the URL which receives the events.
+   *
+   * @param {String} targetUrl
+   */
+  setTargetUrl(targetUrl) {
+    this.targetUrl = targetUrl;
+  }
+  /**
+   * The secret used to sign the payloads.
+   *
+   * @return {String} the secret
+   */
+  getSecret() {
+    return this.secret;
+  }
+  /**
+   * Sets the secret used to sign the payloads.
+   *
+   * @param {String} secret
+   */
+  setSecret(secret) {
+    this.secret = secret;
+  }
+  /**
+   * The type of the objects to send events for, '*' for all types.
+   *
+   * @return {String} the type
+   */
+  getTypeFilter() {
+    return this.typeFilter;
+  }
+  /**
+   * Sets the type of the objects to send events for, '*' for all types.
+   *
+   * @param {String} typeFilter
+   */
+  setTypeFilter(typeFilter) {
+    this.typeFilter = typeFilter;
+  }
+  /**
+   * The "urlEncoded" flag.
+   *
+   * @return {Boolean} true if the payload is sent as a form instead of JSON
+   */
+  getUrlEncoded() {
+    return this.urlEncoded;
+  }
+  /**
+   * Sets the "urlEncoded" flag.
+   *
+   * @param {Boolean} urlEncoded true if the payload is sent as a form instead of JSON
+   */
+  setUrlEncoded(urlEncoded) {
+    this.urlEncoded = urlEncoded;
+  }
+  /**
+   * The "active" flag.
+   *
+   * @return {Boolean} true if the webhook is active
+   */
+  getActive() {
+    return this.active;
+  }
+  /**
+   * Sets the "active" flag.
+   *
+   * @param {Boolean} active true if the webhook is active
+   */
+  setActive(active) {
+    this.active = active;
+  }
+  /**
+   * The "create" flag.
+   *
+   * @return {Boolean} true if events are sent when objects are created
+   */
+  getCreate() {
+    return this.create;
+  }
+  /**
+   * Sets the "create" flag.
+   *
+   * @param {Boolean} create true if events are sent when objects are created
+   */
+  setCreate(create) {
+    this.create = create;
+  }
+  /**
+   * The "update" flag.
+   *
+   * @return {Boolean} true if events are sent when objects are updated
+   */
+  getUpdate() {
+    return this.update;
+  }
+  /**
+   * Sets the "update" flag.
+   *
+   * @param {Boolean} update true if events are sent when objects are updated
+   */
+  setUpdate(update) {
+    this.update = update;
+  }
+  /**
+   * The "delete" flag.
+   *
+   * @return {Boolean} true if events are sent when objects are deleted
+   */
+  getDelete() {
+    return this.delete;
+  }
+  /**
+   * Sets the "delete" flag.
+   *
+   * @param {Boolean} isDelete true if events are sent when objects are deleted
+   */
+  setDelete(isDelete) {
+    this.delete = isDelete;
+  }
+  /**
+   * The "createAll" flag.
+   *
+   * @return {Boolean} true if events are sent for batch creates
+   */
+  getCreateAll() {
+    return this.createAll;
+  }
+  /**
+   * Sets the "createAll" flag.
+   *
+   * @param {Boolean} createAll true if events are sent for batch creates
+   */
+  setCreateAll(createAll) {
+    this.createAll = createAll;
+  }
+  /**
+   * The "updateAll" flag.
+   *
+   * @return {Boolean} true if events are sent for batch updates
+   */
+  getUpdateAll() {
+    return this.updateAll;
+  }
+  /**
+   * Sets the "updateAll" flag.
+   *
+   * @param {Boolean} updateAll true if events are sent for batch updates
+   */
+  setUpdateAll(updateAll) {
+    this.updateAll = updateAll;
+  }
+  /**
+   * The "deleteAll" flag.
+   *
+   * @return {Boolean} true if events are sent for batch deletes
+   */
+  getDeleteAll() {
+    return this.deleteAll;
+  }
+  /**
+   * Sets the "deleteAll" flag.
+   *
+   * @param {Boolean} deleteAll true if events are sent for batch deletes
+   */
+  setDeleteAll(deleteAll) {
+    this.deleteAll = deleteAll;
+  }
+  /**
+   * The names of the custom events to send.
+   *
+   * @return {Array} the event names
+   */
+  getCustomEvents() {
+    return this.customEvents;
+  }
+  /**
+   * Sets the names of the custom events to send.
+   *
+   * @param {Array} customEvents
+   */
+  setCustomEvents(customEvents) {
+    this.customEvents = customEvents;
+  }
+}
@@ -21,16 +21,85 @@
 
 var err = console.error;
 import assert from 'assert';
-import apiClient from 'superagent';
 import aws4 from 'aws4';
 import ParaObject from './ParaObject.js';
+import User from './User.js';
+import App from './App.js';
+import Tag from './Tag.js';
+import Address from './Address.js';
+import Vote from './Vote.js';
+import Translation from './Translation.js';
+import Sysprop from './Sysprop.js';
+import Webhook from './Webhook.js';
 import Pager from './Pager.js';
 import Constraint from './Constraint.js';
+import { constraintsToJsonSchema, jsonSchemaToConstraints } from './JsonSchema.js';
+import {
+  OAUTH_PROVIDERS,
+  buildOAuthUrl,
+  parseOAuthCallback,
+  removeOAuthParams,
+  isIssuedForSignIn,
+  savePendingSignIn,
+  takePendingSignIn
+} from './OAuth.js';
+import RetryPolicy from './RetryPolicy.js';
+import RateLimiter from './RateLimiter.js';
+import FetchTransport from './FetchTransport.js';
+import SuperagentTransport from './SuperagentTransport.js';
+import ObjectCache from './ObjectCache.js';
+import Query from './Query.js';
+import ConditionalRequests from './ConditionalRequests.js';
+import Migrations from './Migrations.js';
+import EventEmitter from './EventEmitter.js';
+import TokenStore, { WebStorageTokenStore, FileTokenStore } from './TokenStore.js';
+import ParaError, {
+  ParaNotFoundError,
+  ParaValidationError,
+  ParaAuthError,
+  ParaConflictError,
+  ParaRateLimitError,
+  ParaServerError,
+  ParaNetworkError,
+  ParaAbortError
+} from './ParaError.js';
 
 const DEFAULT_ENDPOINT = 'https://paraio.com';
 const DEFAULT_PATH = '/v1/';
 const JWT_PATH = '/jwt_auth';
 const SEPARATOR = ':';
+const LINKER_TYPE = 'linker';
+const MAX_TIMER_DELAY = 2147483647;
+const CSV_COLUMNS = ['id', 'type', 'name', 'parentid', 'creatorid', 'timestamp'];
+// paginated methods and the number of arguments they take before the pager
+const PAGINATED_METHODS = {
+  list: 1,
+  findNearby: 5,
+  findPrefix: 3,
+  findQuery: 2,
+  findNestedQuery: 3,
+  findSimilar: 4,
+  findTagged: 2,
+  findTags: 1,
+  findTermInList: 3,
+  findTerms: 3,
+  findWildcard: 3,
+  getLinkedObjects: 2,
+  findLinkedObjects: 4,
+  getChildren: 4,
+  findChildren: 3
+};
+// the classes of the core Para types, used for the objects in responses
+const CORE_TYPES = {
+  user: User,
+  app: App,
+  tag: Tag,
+  address: Address,
+  vote: Vote,
+  translation: Translation,
+  sysprop: Sysprop,
+  webhook: Webhook
+};
 const { sign } = aws4;
 
 /**
@@ -40,6 +109,24 @@ const { sign } = aws4;
  * @param {Object} options
  *   @property {String} endpoint the API endpoint (default: paraio.com)
  *   @property {String} apiPath the request path (default: /v1/)
+ *   @property {Number} apiRequestTimeout request timeout in milliseconds (default: 120000)
+ *   @property {Object|Boolean} retry a RetryPolicy or its options, true for the default policy (default: no retries)
+ *   @property {Object} rateLimit RateLimiter options, e.g. { requestsPerSecond: 10 } (default: unlimited)
+ *   @property {Object|String} transport 'fetch', 'superagent' or an object with a send() method
+ *   (default: superagent if available, fetch otherwise)
+ *   @property {Array} interceptors a list of request interceptors, see use()
+ *   @property {Object|Boolean} cache an ObjectCache or its options, e.g. { max: 1000, ttl: 60000 },
+ *   true for the default cache. read(), readAll() and findById() are then served from the cache
+ *   when possible (default: no cache)
+ *   @property {Object|Boolean} conditionalRequests ConditionalRequests options, e.g. { max: 500 },
+ *   or true to send GET requests with 'If-None-Match' and 'If-Modified-Since' (default: false)
+ *   @property {Object} batch default options for createAll(), readAll(), updateAll() and deleteAll(),
+ *   e.g. { chunkSize: 100, concurrency: 1 }
+ *   @property {Boolean} throwOnNotFound if true, read() and findById() reject with ParaNotFoundError
+ *   instead of resolving to null (default: false)
+ *   @property {Boolean} throwOnClientError if true, signIn(), refreshToken(), revokeAllTokens() and
+ *   isAllowedTo() reject with the error, e.g. ParaAuthError, when Para rejects the request
+ *   instead of resolving to null or false (default: false)
  * @author Alex Bogdanovski <alex@erudika.com>
  */
 export default class ParaClient {
@@ -52,9 +139,35 @@ export default class ParaClient {
     this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
     this.apiPath = options.apiPath || DEFAULT_PATH;
     this.apiRequestTimeout = options.apiRequestTimeout || 120 * 1000;
+    this.retryPolicy = getRetryPolicy(options.retry);
+    this.rateLimiter = new RateLimiter(options.rateLimit);
+    this.transport = getTransport(options.transport);
+    this.interceptors = [];
+    this.throwOnNotFound = !!options.throwOnNotFound;
+    this.throwOnClientError = !!options.throwOnClientError;
+    this.optimisticLocking = !!options.optimisticLocking;
+    this.cache = getObjectCache(options.cache);
+    this.conditionalRequests = null;
+    this.batchOptions = merge({ chunkSize: 100, concurrency: 1 }, options.batch);
+    this.typeRegistry = new Map(Object.entries(CORE_TYPES));
+    this.validationOptions = merge({ beforeSave: false, ttl: 5 * 60 * 1000 }, options.validation);
+    // maps types to their validation constraints { constraints, expires }
+    this.constraints = new Map();
     this.tokenKey = null;
     this.tokenKeyExpires = null;
     this.tokenKeyNextRefresh = null;
+    this.tokenStore = getTokenStore(options.tokenStore, accessKey);
+    // writes to the token store, in order
+    this.tokenWrites = resolve();
+    // the token refresh in progress, shared by all callers
+    this.tokenRefresh = null;
+    this.autoRefresh = options.autoRefresh
+      ? merge({ ahead: 30 * 1000 }, options.autoRefresh)
+      : null;
+    this.refreshTimer = null;
+    // the expired token which 'tokenExpired' was emitted for
+    this.expiredToken = null;
+    this.events = new EventEmitter();
     if (!endsWith(this.apiPath, '/')) {
       this.apiPath += '/';
     }
@@ -77,17 +190,30 @@ export default class ParaClient {
       return that.apiPath + resourcePath;
     };
 
+    if (options.conditionalRequests) {
+      this.conditionalRequests =
+        options.conditionalRequests instanceof ConditionalRequests
+          ? options.conditionalRequests
+          : new ConditionalRequests(options.conditionalRequests);
+      this.use(this.conditionalRequests);
+    }
+    if (isArray(options.interceptors)) {
+      options.interceptors.forEach(function (interceptor) {
+        that.use(interceptor);
+      });
+    }
+
     this.setSecret = function (sec) {
       secret = sec;
     };
 
     /**
-     * Clears the JWT token from memory, if such exists.
+     * Clears the JWT token from memory and from the token store, if such exists.
+     * Emits 'signedOut' if there was a token.
+     * @returns {Promise} resolved when the token store is cleared
      */
     this.clearAccessToken = function () {
-      that.tokenKey = null;
-      that.tokenKeyExpires = null;
-      that.tokenKeyNextRefresh = null;
+      return clearToken(that, 'signedOut');
     };
 
     /**
@@ -98,17 +224,23 @@ export default class ParaClient {
     };
 
     /**
-     * Sets the JWT access token.
+     * Sets the JWT access token and saves it in the token store.
+     * Emits 'signedIn', or 'tokenRefreshed' if there was a token already.
      * @param {String} token a valid token
+     * @returns {Promise} resolved when the token is saved
      */
     this.setAccessToken = function (token) {
+      if (!token) {
+        return that.clearAccessToken();
+      }
+      var event = that.tokenKey !== null ? 'tokenRefreshed' : 'signedIn';
       if (token && token.length > 1) {
         try {
           var parts = token.split('.');
-          var decoded = JSON.parse(decode(parts[1]));
+          var decoded = JSON.parse(decodeBase64Url(parts[1]));
           if (decoded && decoded['exp']) {
-            that.tokenKeyExpires = decoded['exp'];
-            that.tokenKeyNextRefresh = decoded['refresh'];
+            that.tokenKeyExpires = toMillis(decoded['exp']);
+            that.tokenKeyNextRefresh = toMillis(decoded['refresh']);
           }
         } catch (e) {
           that.tokenKeyExpires = null;
@@ -116,15 +248,23 @@ export default class ParaClient {
         }
       }
       that.tokenKey = token;
+      var saved = tokenChanged(that);
+      that.events.emit(event, { user: null, token: token, expires: that.tokenKeyExpires });
+      return saved;
     };
 
+    // requests wait until a token from the token store is loaded
+    this.tokenLoaded = loadToken(this);
+
     /**
      * @param {Function} fn callback (optional)
+     * @param {Object} options request options, e.g. { signal, timeout } (optional)
      * @returns {Promise} the version of Para server
      */
-    this.getServerVersion = async function (fn) {
-      fn = fn || noop;
-      return that.getEntity(that.invokeGet('')).then(function (result) {
+    this.getServerVersion = async function (fn, options) {
+      options = checkOptions(fn, options);
+      fn = checkCallback(fn);
+      return that.getEntity(that.invokeGet('', null, options)).then(function (result) {
         var ver = result.version || 'unknown';
         fn(ver);
         return ver;
@@ -135,15 +275,18 @@ export default class ParaClient {
      * Invoke a GET request to the Para API.
      * @param {String} resourcePath the subpath after '/v1/', should not start with '/'
      * @param {Object} params query parameters
+     * @param {Object} options request options, e.g. { signal, timeout } (optional)
      * @returns {Object} response
      */
-    this.invokeGet = async function (resourcePath, params) {
+    this.invokeGet = async function (resourcePath, params, options) {
       return that.invokeSignedRequest(
         'GET',
         that.endpoint,
         that.getFullPath(resourcePath),
         null,
-        params
+        params,
+        null,
+        options
       );
     };
 
@@ -151,16 +294,18 @@ export default class ParaClient {
      * Invoke a POST request to the Para API.
      * @param {String} resourcePath the subpath after '/v1/', should not start with '/'
      * @param {Object} entity request body
+     * @param {Object} options request options, e.g. { signal, timeout } (optional)
      * @returns {Object} response
      */
-    this.invokePost = async function (resourcePath, entity) {
+    this.invokePost = async function (resourcePath, entity, options) {
       return that.invokeSignedRequest(
         'POST',
         that.endpoint,
         that.getFullPath(resourcePath),
         null,
         null,
-        entity
+        entity,
+        options
       );
     };
 
@@ -168,16 +313,18 @@ export default class ParaClient {
      * Invoke a PUT request to the Para API.
      * @param {String} resourcePath the subpath after '/v1/', should not start with '/'
      * @param {Object} entity request body
+     * @param {Object} options request options, e.g. { signal, timeout } (optional)
      * @returns {Object} response
      */
-    this.invokePut = async function (resourcePath, entity) {
+    this.invokePut = async function (resourcePath, entity, options) {
       return that.invokeSignedRequest(
         'PUT',
         that.endpoint,
         that.getFullPath(resourcePath),
         null,
         null,
-        entity
+        entity,
+        options
       );
     };
 
@@ -185,16 +332,18 @@ export default class ParaClient {
      * Invoke a PATCH request to the Para API.
      * @param {String} resourcePath the subpath after '/v1/', should not start with '/'
      * @param {Object} entity request body
+     * @param {Object} options request options, e.g. { signal, timeout } (optional)
      * @returns {Object} response
      */
-    this.invokePatch = async function (resourcePath, entity) {
+    this.invokePatch = async function (resourcePath, entity, options) {
       return that.invokeSignedRequest(
         'PATCH',
         that.endpoint,
         that.getFullPath(resourcePath),
         null,
         null,
-        entity
+        entity,
+        options
       );
     };
 
@@ -202,52 +351,180 @@ export default class ParaClient {
      * Invoke a DELETE request to the Para API.
      * @param {String} resourcePath the subpath after '/v1/', should not start with '/'
      * @param {Object} params query parameters
+     * @param {Object} options request options, e.g. { signal, timeout } (optional)
      * @returns {Object} response
      */
-    this.invokeDelete = async function (resourcePath, params) {
+    this.invokeDelete = async function (resourcePath, params, options) {
       return that.invokeSignedRequest(
         'DELETE',
         that.endpoint,
         that.getFullPath(resourcePath),
         null,
-        params
+        params,
+        null,
+        options
       );
     };
 
+    /**
+     * Signs and sends a request to the Para API, retrying it if the retry policy allows that.
+     * @param {String} httpMethod HTTP method
+     * @param {String} endpointURL the API endpoint
+     * @param {String} reqPath the full request path
+     * @param {Object} headers request headers
+     * @param {Object} params query parameters
+     * @param {Object} jsonEntity request body
+     * @param {Object} options request options (optional)
+     *   @property {AbortSignal} signal aborts the request when triggered
+     *   @property {Number} timeout request timeout in milliseconds (default: apiRequestTimeout)
+     * @returns {Object} response
+     */
     this.invokeSignedRequest = async function (
       httpMethod,
       endpointURL,
       reqPath,
       headers,
       params,
-      jsonEntity
+      jsonEntity,
+      options
     ) {
       if (!accessKey || isEmpty(accessKey.trim())) {
         throw new Error('Blank access key: ' + httpMethod + ' ' + reqPath);
       }
+      options = options || {};
+      var signal = options.signal;
+      var attempt = 1;
+      var refreshed = false;
+      await that.tokenLoaded;
+      while (true) {
+        await abortable(that.rateLimiter.acquire(), signal, httpMethod, reqPath);
+        try {
+          // each attempt is signed again because signatures and tokens are time-sensitive
+          return await sendRequest(
+            httpMethod,
+            endpointURL,
+            reqPath,
+            headers,
+            params,
+            jsonEntity,
+            options
+          );
+        } catch (e) {
+          if (
+            e &&
+            e.status === 401 &&
+            !refreshed &&
+            e.reason !== 'tokenExpired' &&
+            that.tokenKey !== null &&
+            reqPath !== that.getFullPath(JWT_PATH)
+          ) {
+            // the token may have expired on the server, so refresh it and try once more
+            refreshed = true;
+            if (
+              await that.refreshToken({ force: true, signal: signal, throwOnClientError: false })
+            ) {
+              continue;
+            }
+            // refreshToken() has already reported why the token couldn't be refreshed
+            throw e;
+          }
+          if (e && e.status === 401 && refreshed) {
+            that.events.emit('authError', { error: e });
+            throw e;
+          }
+          var delay = that.retryPolicy.getDelay(attempt, e);
+          if (e && e.status === 429) {
+            // the whole app is being throttled, so hold back all other requests too
+            that.rateLimiter.pause(delay);
+          }
+          if (!that.retryPolicy.shouldRetry(httpMethod, e, attempt)) {
+            throw e;
+          }
+          await abortable(sleep(delay), signal, httpMethod, reqPath);
+          attempt++;
+        }
+      }
+    };
+
+    var sendRequest = async function (
+      httpMethod,
+      endpointURL,
+      reqPath,
+      headers,
+      params,
+      jsonEntity,
+      options
+    ) {
       var doSign = true;
       if (!secret && !that.tokenKey && isEmpty(headers)) {
         headers = { Authorization: 'Anonymous ' + accessKey };
         doSign = false;
       }
-      var host = endpointURL;
-      if (startsWith(endpointURL, 'http://')) {
-        host = endpointURL.substring(7);
-      } else if (startsWith(endpointURL, 'https://')) {
-        host = endpointURL.substring(8);
+      // shared by all interceptors for the duration of this attempt
+      var ctx = {
+        method: httpMethod,
+        endpoint: endpointURL,
+        path: reqPath,
+        headers: merge({}, headers),
+        params: params,
+        entity: jsonEntity,
+        options: options,
+        request: null
+      };
+      var res = await runInterceptors('beforeSign', ctx);
+      try {
+        if (!res) {
+          ctx.request = await signRequest(ctx, doSign);
+          res = await runInterceptors('afterSign', ctx);
+        }
+        if (!res) {
+          res = await abortable(
+            that.transport.send(ctx.request),
+            options.signal,
+            httpMethod,
+            reqPath
+          ).catch(function (e) {
+            throw ParaError.fromError(e, httpMethod, reqPath);
+          });
+        }
+        for (var interceptor of that.interceptors.slice()) {
+          if (isFunction(interceptor.onResponse)) {
+            res = (await interceptor.onResponse(res, ctx)) || res;
+          }
+        }
+        if ((res.status >= 200 && res.status < 300) || res.status === 304) {
+          return res;
+        }
+        throw ParaError.fromResponse(res, httpMethod, reqPath);
+      } catch (e) {
+        var recovered = await runInterceptors('onError', e, ctx);
+        if (recovered) {
+          return recovered;
+        }
+        throw e;
+      }
+    };
+
+    var signRequest = async function (ctx, doSign) {
+      var host = ctx.endpoint;
+      if (startsWith(ctx.endpoint, 'http://')) {
+        host = ctx.endpoint.substring(7);
+      } else if (startsWith(ctx.endpoint, 'https://')) {
+        host = ctx.endpoint.substring(8);
       }
 
       var opts = {
         service: 'para',
-        method: httpMethod,
+        method: ctx.method,
         host: host,
-        path: uriEncodeAWSV4(reqPath),
-        headers: headers || {}
+        path: uriEncodeAWSV4(ctx.path),
+        headers: merge({}, ctx.headers)
       };
 
       // make sure that only the first parameter value is used for generating the signature
       // multi-valued parameters are reduced to single value
       // there's no spec for this case, so choose first param in array
+      var params = ctx.params;
       if (params && params instanceof Object && !isEmpty(params)) {
         opts.path += '?';
         var paramsObj = {};
@@ -264,18 +541,32 @@ export default class ParaClient {
         opts.path += new URLSearchParams(paramsObj).toString();
       }
 
-      if (jsonEntity) {
-        opts.body = JSON.stringify(jsonEntity);
+      if (ctx.entity) {
+        opts.body = JSON.stringify(ctx.entity);
         opts.headers['Content-Type'] = 'application/json; charset=UTF-8';
       }
 
-      if (that.tokenKey !== null) {
+      var jwtPath = that.getFullPath(JWT_PATH);
+      var expired = that.tokenKeyExpires !== null && that.tokenKeyExpires <= Date.now();
+      // requests can be authorized by the caller, e.g. me(accessToken)
+      var authorized = !!opts.headers['Authorization'];
+      // signing in again replaces an expired token
+      var signingIn = ctx.method === 'POST' && ctx.path === jwtPath && expired;
+      if (that.tokenKey !== null && !authorized && !signingIn) {
         // make sure you don't create an infinite loop!
-        if (!(httpMethod === 'GET' && reqPath === JWT_PATH)) {
-          await that.refreshToken();
+        if (!(ctx.method === 'GET' && ctx.path === jwtPath)) {
+          await that.refreshToken({ throwOnClientError: false });
+          if (that.tokenKeyExpires !== null && that.tokenKeyExpires <= Date.now()) {
+            throw new ParaAuthError('The access token has expired.', {
+              status: 401,
+              method: ctx.method,
+              path: ctx.path,
+              reason: 'tokenExpired'
+            });
+          }
         }
         opts.headers['Authorization'] = 'Bearer ' + that.tokenKey;
-      } else if (doSign) {
+      } else if (doSign && !authorized) {
         opts.doNotEncodePath = true;
         sign(opts, { accessKeyId: accessKey, secretAccessKey: secret });
       }
@@ -285,16 +576,28 @@ export default class ParaClient {
         delete opts.headers['Host'];
       }
       opts.headers['User-Agent'] = 'Para client for JavaScript';
-      try {
-        return apiClient(opts.method, endpointURL + reqPath)
-          .query(params)
-          .set(opts.headers)
-          .timeout({ response: that.apiRequestTimeout, deadline: that.apiRequestTimeout })
-          .send(opts.body);
-      } catch (e) {
-        err('ParaClient request failed: ' + e);
-        return Promise.reject(e);
+      return {
+        method: opts.method,
+        url: ctx.endpoint + ctx.path,
+        query: params,
+        headers: opts.headers,
+        body: opts.body,
+        timeout: ctx.options.timeout || that.apiRequestTimeout,
+        signal: ctx.options.signal
+      };
+    };
+
+    var runInterceptors = async function (hook) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      for (var interceptor of that.interceptors.slice()) {
+        if (isFunction(interceptor[hook])) {
+          var result = await interceptor[hook].apply(interceptor, args);
+          if (result) {
+            return result;
+          }
+        }
       }
+      return null;
     };
 
     /**
@@ -302,15 +605,21 @@ export default class ParaClient {
      * @param {String} queryType type of search query
      * @param {Object} params query params
      * @param {Function} fn callback
+     * @param {Object} options request options, e.g. { signal, timeout } (optional)
      * @returns {Object} response
      */
-    this.find = async function (queryType, params, fn) {
+    this.find = async function (queryType, params, fn, options) {
+      options = checkOptions(fn, options);
+      fn = checkCallback(fn);
       if (params && params instanceof Object && !isEmpty(params)) {
         var qType = queryType ? '/' + queryType : '/default';
         if (!params['type']) {
-          return that.getEntity(that.invokeGet('search' + qType, params), fn);
+          return that.getEntity(that.invokeGet('search' + qType, params, options), fn);
         } else {
-          return that.getEntity(that.invokeGet(params['type'] + '/search' + qType, params), fn);
+          return that.getEntity(
+            that.invokeGet(params['type'] + '/search' + qType, params, options),
+            fn
+          );
         }
       } else {
         var res = {
@@ -327,15 +636,30 @@ export default class ParaClient {
      * @param {Object} req request
      * @param {Function} callback callback
      * @param {Boolean} returnRawJSON true if raw JSON should be returned as string
-     * @returns {Object} a ParaObject
+     * @param {Boolean} nullIfNotFound true if a 404 response should resolve to null
+     * @returns {Object} a ParaObject, or null if the response has no content (204)
      */
-    this.getEntity = async function (req, callback, returnRawJSON) {
-      callback = callback || noop;
+    this.getEntity = async function (req, callback, returnRawJSON, nullIfNotFound) {
+      callback = checkCallback(callback);
       var rawJSON = isUndefined(returnRawJSON) ? true : returnRawJSON;
+      var failed = function (error) {
+        if (nullIfNotFound && error instanceof ParaNotFoundError) {
+          callback(null);
+          return resolve(null);
+        }
+        if (error instanceof ParaError && error.status) {
+          err(error.message + ' - ' + error.code);
+        }
+        callback(null, error);
+        return Promise.reject(error);
+      };
       return req.then(function (res) {
         //console.log("DEBUG ", req.method, req.url, res.status);
         var code = res.status;
-        if (code === 200 || code === 201 || code === 304) {
+        if (code === 204) {
+          callback(null);
+          return resolve(null);
+        } else if ((code >= 200 && code < 300) || code === 304) {
           if (rawJSON) {
             var result;
             try {
@@ -350,27 +674,14 @@ export default class ParaClient {
             callback(result);
             return resolve(result);
           } else {
-            var obj = new ParaObject();
-            obj.setFields(res.body);
+            var obj = toParaObject(that, res.body);
             callback(obj);
             return resolve(obj);
           }
-        } else if (code !== 404 || code !== 304 || code !== 204) {
-          var error = res.body || new Error('ParaClient request failed.');
-          if (error && error['code']) {
-            var msg = error['message'] ? error['message'] : 'error';
-            err(msg + ' - ' + error['code']);
-          } else {
-            err(code + ' - ' + res.text);
-          }
-          callback(null, error);
-          return Promise.reject(error);
         } else {
-          var error1 = new Error('ParaClient request failed.');
-          callback(null, error1);
-          reject(error1);
+          return failed(ParaError.fromResponse(res));
         }
-      });
+      }, failed);
     };
 
     /**
@@ -383,9 +694,7 @@ export default class ParaClient {
         var objects = [];
         for (var item of items) {
           if (item) {
-            var p = new ParaObject();
-            p.setFields(item);
-            objects.push(p);
+            objects.push(toParaObject(that, item));
           }
         }
         return objects;
@@ -429,31 +738,121 @@ export default class ParaClient {
      * @returns {Object} parameters map
      */
     this.pagerToParams = function (pager) {
-      var map = {};
-      if (pager) {
-        map['page'] = pager.page;
-        map['desc'] = pager.desc;
-        map['limit'] = pager.limit;
-        if (pager.lastKey) {
-          map['lastKey'] = pager.lastKey;
-        }
-        if (pager.sortby) {
-          map['sort'] = pager.sortby;
-        }
-        if (pager.select && pager.select.length) {
-          map['select'] = pager.select;
-        }
+      if (!pager) {
+        return {};
       }
-      return map;
+      return (pager instanceof Pager ? pager : Object.assign(new Pager(), pager)).toParams();
     };
+
+    /**
+     * Async generators which page through all results of list() and the paginated find methods.
+     * Each one takes the same arguments as the method with the same name, except for the pager
+     * and the callback, followed by an options object:
+     * <ul>
+     * <li>pager - the Pager to start from (default: first page)</li>
+     * <li>pageSize - the number of objects requested at a time (default: pager.limit)</li>
+     * <li>maxItems - stop after this many objects (default: no limit)</li>
+     * <li>signal, timeout - request options applied to each page</li>
+     * </ul>
+     * Pages are followed with 'lastKey' (search after) when Para returns one, by page number
+     * otherwise. Example: <code>for await (const cat of pc.iterate.findQuery('cat', '*')) { }</code>
+     * @type {{
+     *   list: (type: String, options?: Object) => AsyncGenerator<ParaObject>,
+     *   findNearby: (type: String, query: String|Query, radius: Number, lat: Number, lng: Number,
+     *     options?: Object) => AsyncGenerator<ParaObject>,
+     *   findPrefix: (type: String, field: String, prefix: String, options?: Object) =>
+     *     AsyncGenerator<ParaObject>,
+     *   findQuery: (type: String, query: String|Query, options?: Object) =>
+     *     AsyncGenerator<ParaObject>,
+     *   findNestedQuery: (type: String, field: String, query: String|Query, options?: Object) =>
+     *     AsyncGenerator<ParaObject>,
+     *   findSimilar: (type: String, filterKey: String, fields: Array, liketext: String,
+     *     options?: Object) => AsyncGenerator<ParaObject>,
+     *   findTagged: (type: String, tags: Array, options?: Object) => AsyncGenerator<ParaObject>,
+     *   findTags: (keyword: String, options?: Object) => AsyncGenerator<ParaObject>,
+     *   findTermInList: (type: String, field: String, terms: Array, options?: Object) =>
+     *     AsyncGenerator<ParaObject>,
+     *   findTerms: (type: String, terms: Object, matchAll: Boolean, options?: Object) =>
+     *     AsyncGenerator<ParaObject>,
+     *   findWildcard: (type: String, field: String, wildcard: String, options?: Object) =>
+     *     AsyncGenerator<ParaObject>,
+     *   getLinkedObjects: (obj: ParaObject, type2: String, options?: Object) =>
+     *     AsyncGenerator<ParaObject>,
+     *   findLinkedObjects: (obj: ParaObject, type2: String, field: String, query: String|Query,
+     *     options?: Object) => AsyncGenerator<ParaObject>,
+     *   getChildren: (obj: ParaObject, type2: String, field: String, term: String,
+     *     options?: Object) => AsyncGenerator<ParaObject>,
+     *   findChildren: (obj: ParaObject, type2: String, query: String|Query, options?: Object) =>
+     *     AsyncGenerator<ParaObject>
+     * }}
+     */
+    this.iterate = {};
+    Object.keys(PAGINATED_METHODS).forEach(function (method) {
+      that.iterate[method] = function () {
+        var arity = PAGINATED_METHODS[method];
+        var args = Array.prototype.slice.call(arguments, 0, arity);
+        args.length = arity;
+        return paginate(that, method, args, arguments[arity]);
+      };
+    });
+  }
+  /**
+   * Registers a request interceptor. Interceptors are objects with one or more of these hooks,
+   * which are called in the order of registration, for every request attempt:
+   * <ul>
+   * <li>beforeSign(ctx) - ctx.headers, ctx.params and ctx.entity can be modified before signing</li>
+   * <li>afterSign(ctx) - ctx.request holds the signed request which is about to be sent</li>
+   * <li>onResponse(response, ctx) - may return a different response object</li>
+   * <li>onError(error, ctx) - may return a response object to recover from the error</li>
+   * </ul>
+   * Returning a response object ({ status, headers, body, text }) from beforeSign or afterSign
+   * skips sending the request over the network, e.g. when serving it from a cache.
+   * Hooks can be async.
+   * @param {Object} interceptor an interceptor
+   * @returns {Function} a function which removes the interceptor
+   */
+  use(interceptor) {
+    var that = this;
+    if (interceptor) {
+      this.interceptors.push(interceptor);
+    }
+    return function () {
+      var index = that.interceptors.indexOf(interceptor);
+      if (index >= 0) {
+        that.interceptors.splice(index, 1);
+      }
+    };
+  }
+  /**
+   * Registers a class for the objects of a type. Objects in responses are created as instances
+   * of the class registered for their 'type' field, or as ParaObjects if there is none.
+   * Classes for the core types, like User and App, are registered by default.
+   * @param {String} type the type, e.g. 'cat'
+   * @param {Function} cls a subclass of ParaObject, or null to unregister the type
+   * @returns {ParaClient} this client
+   */
+  registerType(type, cls) {
+    assert(type, 'Parameter type must not be empty.');
+    if (!cls) {
+      this.typeRegistry.delete(type);
+      return this;
+    }
+    assert(
+      cls === ParaObject || (isFunction(cls) && cls.prototype instanceof ParaObject),
+      'Parameter must be a subclass of ParaObject.'
+    );
+    this.typeRegistry.set(type, cls);
+    return this;
   }
   /**
    * Returns the App for the current access key (appid).
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a promise
    */
-  async getApp(fn) {
-    return this.me(fn);
+  async getApp(fn, options) {
+    options = checkOptions(fn, options);
+    return this.me(fn, options);
   }
   /////////////////////////////////////////////
   //				 PERSISTENCE
@@ -462,68 +861,159 @@ export default class ParaClient {
    * Persists an object to the data store. If the object's type and id are given,
    * then the request will be a PUT request and any existing object will be
    * overwritten.
+   * With validation before saving, the object is validated first and the request fails with
+   * a ParaValidationError if it is invalid, see validate().
    * @param {ParaObject} obj the object to create
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, set 'validate' to true
+   * or false to override the client setting (optional)
    * @returns {Promise} the same object with assigned id or null if not created.
    */
-  async create(obj, fn) {
-    fn = fn || noop;
+  async create(obj, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (!obj) {
       fn(null);
       return resolve(null);
     }
+    if (validatesBeforeSave(this, options)) {
+      await checkValid(this, obj, null, fn, options);
+    }
+    var req;
     if (!obj.getId() || !obj.getType()) {
-      return this.getEntity(this.invokePost(urlEncode(obj.getType()), obj), fn, false);
+      req = this.invokePost(urlEncode(obj.getType()), obj, options);
     } else {
-      return this.getEntity(this.invokePut(obj.getObjectURI(), obj), fn, false);
+      req = this.invokePut(obj.getObjectURI(), obj, options);
     }
+    return this.getEntity(req, fn, false).then(cacheObjects(this));
   }
   /**
    * Retrieves an object from the data store.
    * @param {String} type the type of the object
    * @param {String} id the id of the object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout, throwOnNotFound },
+   * set 'cache' to false to skip the object cache (optional)
    * @returns {Promise} the retrieved object or null if not found
    */
-  async read(type, id, fn) {
-    fn = fn || noop;
+  async read(type, id, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!id) {
       fn(null);
       return resolve(null);
     }
+    var cached = getCachedObject(this, type, id, options);
+    if (cached) {
+      fn(cached);
+      return resolve(cached);
+    }
+    var nullIfNotFound = !throwsOnNotFound(this, options);
+    var req;
     if (!type) {
-      return this.getEntity(this.invokeGet('_id/' + urlEncode(id)), fn, false);
+      req = this.invokeGet('_id/' + urlEncode(id), null, options);
     } else {
-      return this.getEntity(this.invokeGet(urlEncode(type) + '/' + urlEncode(id)), fn, false);
+      req = this.invokeGet(urlEncode(type) + '/' + urlEncode(id), null, options);
     }
+    return this.getEntity(req, fn, false, nullIfNotFound).then(cacheObjects(this));
   }
   /**
    * Updates an object permanently. Supports partial updates.
+   * Only the fields which changed since the object was loaded are sent, see
+   * ParaObject.getChanges(). Removed fields are sent as null.
+   * With optimistic locking, the version of the object is sent too and the update fails with
+   * a ParaConflictError if the object was changed on the server in the meantime.
+   * With validation before saving, only the changed fields are validated.
    * @param {ParaObject} obj the object to update
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, set 'optimisticLocking'
+   * or 'validate' to true or false to override the client settings (optional)
    * @returns {Promise} the updated object
    */
-  async update(obj, fn) {
-    fn = fn || noop;
+  async update(obj, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (!obj) {
       fn(null);
       return resolve(null);
     }
-    return this.getEntity(this.invokePatch(obj.getObjectURI(), obj), fn, false);
+    var that = this;
+    var locking = usesOptimisticLocking(this, options);
+    if (validatesBeforeSave(this, options)) {
+      await checkValid(this, obj, Object.keys(obj.getChanges()), fn, options);
+    }
+    var req = this.invokePatch(obj.getObjectURI(), getUpdateBody(obj, locking), options);
+    return this.getEntity(req, fn, false).then(
+      function (res) {
+        if (locking && res) {
+          obj.setVersion(res.getVersion());
+        }
+        obj.markClean();
+        return cacheObjects(that)(res);
+      },
+      function (error) {
+        if (locking && error instanceof ParaConflictError) {
+          return addConflictCopies(that, error, obj, options).then(function () {
+            throw error;
+          });
+        }
+        throw error;
+      }
+    );
+  }
+  /**
+   * Changes an object and saves it with optimistic locking. If the object was changed on the
+   * server in the meantime, the change is applied again to the current copy and saved again.
+   * @param {ParaObject} obj the object to update
+   * @param {Function} mutateFn a function which changes the object passed to it,
+   * it may return a promise and is called once for each attempt
+   * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, and 'retries' - the
+   * number of attempts after a conflict (default: 3) (optional)
+   * @returns {Promise} the updated object
+   */
+  async updateWithRetry(obj, mutateFn, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    checkParaObject(obj);
+    assert(isFunction(mutateFn), 'Parameter mutateFn must be a function.');
+    if (!obj) {
+      fn(null);
+      return resolve(null);
+    }
+    var retries = options.retries >= 0 ? options.retries : 3;
+    var updateOptions = Object.assign({}, options, { optimisticLocking: true });
+    for (var attempt = 0; ; attempt++) {
+      await mutateFn(obj);
+      try {
+        var res = await this.update(obj, updateOptions);
+        fn(res);
+        return res;
+      } catch (e) {
+        if (!(e instanceof ParaConflictError) || !e.server || attempt >= retries) {
+          fn(null, e);
+          throw e;
+        }
+        obj = e.server;
+      }
+    }
   }
   /**
    * Deletes an object permanently.
    * @param {ParaObject} obj object to delete
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} promise
    */
-  async delete(obj, fn) {
-    fn = fn || noop;
+  async delete(obj, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (obj) {
-      return this.getEntity(this.invokeDelete(obj.getObjectURI()), fn);
+      uncacheObjects(this, [obj.getId()]);
+      return this.getEntity(this.invokeDelete(obj.getObjectURI(), null, options), fn);
     } else {
       fn(null);
       return resolve(null);
@@ -533,71 +1023,170 @@ export default class ParaClient {
    * Saves multiple objects to the data store.
    * @param {Array} objects a list of ParaObjects to create
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, and batch options:
+   * <ul>
+   * <li>chunkSize - the number of items sent in one request (default: 100)</li>
+   * <li>concurrency - the number of requests sent in parallel (default: 1)</li>
+   * <li>onProgress - called with { done, total, failed } after each request</li>
+   * <li>report - if true, the result is a report { succeeded, failed, missing }, where failed
+   * holds { item, error } pairs and missing holds the ids which are not in the responses</li>
+   * </ul>
+   * (optional)
    * @returns {Promise} a list of objects
    */
-  async createAll(objects, fn) {
-    fn = fn || noop;
+  async createAll(objects, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObjects(objects);
     if (!objects || !isArray(objects) || !objects[0]) {
-      fn([]);
-      return resolve([]);
+      return batchResult([], options, fn);
     }
     var that = this;
-    return this.getEntity(this.invokePost('_batch', objects)).then(function (result) {
-      var res = that.getItemsFromList(result);
-      fn(res);
-      return res;
+    return runBatch(this, objects, options, function (chunk) {
+      return that.getEntity(that.invokePost('_batch', chunk, options)).then(function (result) {
+        return cacheObjects(that)(that.getItemsFromList(result));
+      });
+    }).then(function (chunks) {
+      return batchResult(chunks, options, fn);
     });
   }
   /**
    * Retrieves multiple objects from the data store.
    * @param {Array} keys a list of object ids
    * @param {Function} fn callback (optional)
-   * @returns {Promise} a list of objects
-   */
-  async readAll(keys, fn) {
-    fn = fn || noop;
+   * @param {Object} options request options, e.g. { signal, timeout }, and batch options:
+   * <ul>
+   * <li>chunkSize - the number of items sent in one request (default: 100)</li>
+   * <li>concurrency - the number of requests sent in parallel (default: 1)</li>
+   * <li>onProgress - called with { done, total, failed } after each request</li>
+   * <li>report - if true, the result is a report { succeeded, failed, missing }, where failed
+   * holds { item, error } pairs and missing holds the ids which are not in the responses</li>
+   * </ul>
+   * Set 'cache' to false to skip the object cache (optional)
+   * @returns {Promise} a list of objects, with the ids which were not found in 'missing'
+   */
+  async readAll(keys, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!keys || !isArray(keys) || isEmpty(keys)) {
-      fn([]);
-      return resolve([]);
+      return batchResult([], options, fn);
     }
     var that = this;
-    return this.getEntity(this.invokeGet('_batch', { ids: keys })).then(function (result) {
-      var res = that.getItemsFromList(result);
-      fn(res);
-      return res;
+    var cached = [];
+    var uncached = keys.filter(function (key) {
+      var obj = getCachedObject(that, null, key, options);
+      if (obj) {
+        cached.push(obj);
+      }
+      return !obj;
+    });
+    return runBatch(this, uncached, options, function (chunk) {
+      return that
+        .getEntity(that.invokeGet('_batch', { ids: chunk }, options))
+        .then(function (result) {
+          return cacheObjects(that)(that.getItemsFromList(result));
+        });
+    }).then(function (chunks) {
+      if (!isEmpty(cached)) {
+        chunks.unshift({ items: [], result: cached });
+      }
+      return batchResult(chunks, options, fn, keys);
     });
   }
   /**
-   * Updates multiple objects.
+   * Updates multiple objects. Only the changed fields of each object are sent, see update().
+   * With optimistic locking, Para skips the objects which were changed on the server in the
+   * meantime. They fail with a ParaConflictError, or are listed in 'failed' in the report.
    * @param {Array} objects a list of ParaObjects to update
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, and batch options:
+   * <ul>
+   * <li>chunkSize - the number of items sent in one request (default: 100)</li>
+   * <li>concurrency - the number of requests sent in parallel (default: 1)</li>
+   * <li>onProgress - called with { done, total, failed } after each request</li>
+   * <li>report - if true, the result is a report { succeeded, failed, missing }, where failed
+   * holds { item, error } pairs and missing holds the ids which are not in the responses</li>
+   * <li>optimisticLocking - true or false to override the client setting</li>
+   * </ul>
+   * (optional)
    * @returns {Promise} a list of objects
    */
-  async updateAll(objects, fn) {
-    fn = fn || noop;
+  async updateAll(objects, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObjects(objects);
     if (!objects || !isArray(objects) || isEmpty(objects)) {
-      fn([]);
-      return resolve([]);
+      return batchResult([], options, fn);
     }
     var that = this;
-    return this.getEntity(this.invokePatch('_batch', objects)).then(function (result) {
-      var res = that.getItemsFromList(result);
-      fn(res);
-      return res;
+    var locking = usesOptimisticLocking(this, options);
+    return runBatch(this, objects, options, function (chunk) {
+      var changes = chunk.map(function (obj) {
+        return merge(getUpdateBody(obj, locking), { id: obj.getId(), type: obj.getType() });
+      });
+      return that.getEntity(that.invokePatch('_batch', changes, options)).then(function (result) {
+        var items = cacheObjects(that)(that.getItemsFromList(result));
+        var updated = {};
+        items.forEach(function (item) {
+          updated[item.getId()] = item;
+        });
+        var conflicts = [];
+        chunk.forEach(function (obj) {
+          var res = updated[obj.getId()];
+          if (res) {
+            if (locking) {
+              obj.setVersion(res.getVersion());
+            }
+            obj.markClean();
+          } else if (locking) {
+            conflicts.push(obj);
+          }
+        });
+        if (!conflicts.length) {
+          return items;
+        }
+        return getBatchConflicts(that, conflicts, options).then(function (failed) {
+          if (!options.report) {
+            throw failed[0].error;
+          }
+          items.failed = failed;
+          return items;
+        });
+      });
+    }).then(function (chunks) {
+      return batchResult(chunks, options, fn);
     });
   }
   /**
    * Deletes multiple objects.
-   * @param {Function} fn callback (optional)
    * @param {Array} keys the ids of the objects to delete
-   * @returns {Promise} promise
-   */
-  async deleteAll(keys, fn) {
-    fn = fn || noop;
+   * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, and batch options:
+   * <ul>
+   * <li>chunkSize - the number of items sent in one request (default: 100)</li>
+   * <li>concurrency - the number of requests sent in parallel (default: 1)</li>
+   * <li>onProgress - called with { done, total, failed } after each request</li>
+   * <li>report - if true, the result is a report { succeeded, failed, missing }, where failed
+   * holds { item, error } pairs and missing holds the ids which are not in the responses</li>
+   * </ul>
+   * (optional)
+   * @returns {Promise} the ids of the deleted objects
+   */
+  async deleteAll(keys, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (keys && isArray(keys)) {
-      return this.getEntity(this.invokeDelete('_batch', { ids: keys }), fn);
+      uncacheObjects(this, keys);
+      var that = this;
+      return runBatch(this, keys, options, function (chunk) {
+        return that
+          .getEntity(that.invokeDelete('_batch', { ids: chunk }, options))
+          .then(function () {
+            return chunk;
+          });
+      }).then(function (chunks) {
+        return batchResult(chunks, options, fn);
+      });
     } else {
       fn(null);
       return resolve(null);
@@ -609,17 +1198,19 @@ export default class ParaClient {
    * @param {String} type the type of objects to search for
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of objects
    */
-  async list(type, pager, fn) {
-    fn = fn || noop;
+  async list(type, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     if (!type) {
       fn([]);
       return resolve([]);
     }
     var that = this;
-    return this.getEntity(this.invokeGet(urlEncode(type), this.pagerToParams(pager))).then(
+    return this.getEntity(this.invokeGet(urlEncode(type), this.pagerToParams(pager), options)).then(
       function (result) {
         var res = that.getItems(result, pager);
         fn(res);
@@ -634,14 +1225,31 @@ export default class ParaClient {
    * Simple id search.
    * @param {String} id the id
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout, throwOnNotFound },
+   * set 'cache' to false to skip the object cache (optional)
    * @returns {Promise} the object if found or null
    */
-  async findById(id, fn) {
-    fn = fn || noop;
+  async findById(id, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    var cached = id ? getCachedObject(this, null, id, options) : null;
+    if (cached) {
+      fn(cached);
+      return resolve(cached);
+    }
     var that = this;
-    return this.find('id', { id: id }).then(function (results) {
-      var list = that.getItems(results);
-      var res = isEmpty(list) ? null : list;
+    return this.find('id', { id: id }, null, options).then(function (results) {
+      var list = cacheObjects(that)(that.getItems(results));
+      var res = isEmpty(list) ? null : list[0];
+      if (!res && id && throwsOnNotFound(that, options)) {
+        var error = new ParaNotFoundError('Object not found: ' + id, {
+          status: 404,
+          method: 'GET',
+          path: that.getFullPath('search/id')
+        });
+        fn(null, error);
+        return Promise.reject(error);
+      }
       fn(res);
       return res;
     });
@@ -650,12 +1258,14 @@ export default class ParaClient {
    * Simple multi id search.
    * @param {Array} ids a list of ids to search for
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of objects if found or []
    */
-  async findByIds(ids, fn) {
-    fn = fn || noop;
+  async findByIds(ids, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     var that = this;
-    return this.find('ids', { ids: ids }).then(function (results) {
+    return this.find('ids', { ids: ids }, null, options).then(function (results) {
       var res = that.getItems(results);
       fn(res);
       return res;
@@ -664,26 +1274,28 @@ export default class ParaClient {
   /**
    * Search for address objects in a radius of X km from a given point.
    * @param {String} type the type of object to search for
-   * @param {String} query the query string
+   * @param {String|Query} query the query string or a Query
    * @param {Number} radius the radius of the search circle
    * @param {Number} lat latitude
    * @param {Number} lng longitude
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findNearby(type, query, radius, lat, lng, pager, fn) {
-    fn = fn || noop;
+  async findNearby(type, query, radius, lat, lng, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     var params = {
       latlng: lat + ',' + lng,
       radius: radius,
-      q: query,
+      q: toQueryString(query),
       type: type
     };
     params = merge(params, this.pagerToParams(pager));
     var that = this;
-    return this.find('nearby', params).then(function (results) {
+    return this.find('nearby', params, null, options).then(function (results) {
       var res = that.getItems(results, pager);
       fn(res);
       return res;
@@ -696,10 +1308,12 @@ export default class ParaClient {
    * @param {String} prefix the prefix
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findPrefix(type, field, prefix, pager, fn) {
-    fn = fn || noop;
+  async findPrefix(type, field, prefix, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     var params = {
       field: field,
@@ -708,7 +1322,7 @@ export default class ParaClient {
     };
     params = merge(params, this.pagerToParams(pager));
     var that = this;
-    return this.find('prefix', params).then(function (results) {
+    return this.find('prefix', params, null, options).then(function (results) {
       var res = that.getItems(results, pager);
       fn(res);
       return res;
@@ -717,21 +1331,23 @@ export default class ParaClient {
   /**
    * Simple query string search. This is the basic search method.
    * @param {String} type the type of object to search for
-   * @param {String} query the query string
+   * @param {String|Query} query the query string or a Query
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findQuery(type, query, pager, fn) {
-    fn = fn || noop;
+  async findQuery(type, query, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     var params = {
-      q: query,
+      q: toQueryString(query),
       type: type
     };
     params = merge(params, this.pagerToParams(pager));
     var that = this;
-    return this.find('', params).then(function (results) {
+    return this.find('', params, null, options).then(function (results) {
       var res = that.getItems(results, pager);
       fn(res);
       return res;
@@ -741,22 +1357,24 @@ export default class ParaClient {
    * Searches within a nested field. The objects of the given type must contain a nested field "nstd".
    * @param {String} type the type of object to search for
    * @param {String} field the name of the field to target (within a nested field "nstd")
-   * @param {String} query the query string
+   * @param {String|Query} query the query string or a Query
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findNestedQuery(type, field, query, pager, fn) {
-    fn = fn || noop;
+  async findNestedQuery(type, field, query, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     var params = {
-      q: query,
+      q: toQueryString(query),
       field: field,
       type: type
     };
     params = merge(params, this.pagerToParams(pager));
     var that = this;
-    return this.find('nested', params).then(function (results) {
+    return this.find('nested', params, null, options).then(function (results) {
       var res = that.getItems(results, pager);
       fn(res);
       return res;
@@ -770,10 +1388,12 @@ export default class ParaClient {
    * @param {String} liketext text to compare to
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findSimilar(type, filterKey, fields, liketext, pager, fn) {
-    fn = fn || noop;
+  async findSimilar(type, filterKey, fields, liketext, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     var params = {
       fields: fields || null,
@@ -783,7 +1403,7 @@ export default class ParaClient {
     };
     params = merge(params, this.pagerToParams(pager));
     var that = this;
-    return this.find('similar', params).then(function (results) {
+    return this.find('similar', params, null, options).then(function (results) {
       var res = that.getItems(results, pager);
       fn(res);
       return res;
@@ -795,10 +1415,12 @@ export default class ParaClient {
    * @param {Array} tags the list of tags
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findTagged(type, tags, pager, fn) {
-    fn = fn || noop;
+  async findTagged(type, tags, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     var params = {
       tags: tags || null,
@@ -806,7 +1428,7 @@ export default class ParaClient {
     };
     params = merge(params, this.pagerToParams(pager));
     var that = this;
-    return this.find('tagged', params).then(function (results) {
+    return this.find('tagged', params, null, options).then(function (results) {
       var res = that.getItems(results, pager);
       fn(res);
       return res;
@@ -818,13 +1440,15 @@ export default class ParaClient {
    * @param {String} keyword the tag keyword to search for
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findTags(keyword, pager, fn) {
-    fn = fn || noop;
+  async findTags(keyword, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     keyword = keyword ? keyword + '*' : '*';
-    return this.findWildcard('tag', 'tag', keyword, pager, fn);
+    return this.findWildcard('tag', 'tag', keyword, pager, fn, options);
   }
   /**
    * Searches for objects having a property value that is in list of possible values.
@@ -833,10 +1457,12 @@ export default class ParaClient {
    * @param {Object} terms a map of terms (property values)
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findTermInList(type, field, terms, pager, fn) {
-    fn = fn || noop;
+  async findTermInList(type, field, terms, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     var params = {
       field: field,
@@ -845,7 +1471,7 @@ export default class ParaClient {
     };
     params = merge(params, this.pagerToParams(pager));
     var that = this;
-    return this.find('in', params).then(function (results) {
+    return this.find('in', params, null, options).then(function (results) {
       var res = that.getItems(results, pager);
       fn(res);
       return res;
@@ -858,10 +1484,12 @@ export default class ParaClient {
    * @param {Boolean} matchAll match all terms. If true - AND search, if false - OR search
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findTerms(type, terms, matchAll, pager, fn) {
-    fn = fn || noop;
+  async findTerms(type, terms, matchAll, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     terms = terms || {};
     matchAll = matchAll || true;
@@ -879,7 +1507,7 @@ export default class ParaClient {
     }
     params = merge(params, this.pagerToParams(pager));
     var that = this;
-    return this.find('terms', params).then(function (results) {
+    return this.find('terms', params, null, options).then(function (results) {
       var res = that.getItems(results, pager);
       fn(res);
       return res;
@@ -892,10 +1520,12 @@ export default class ParaClient {
    * @param {String} wildcard wildcard query string. For example "cat*".
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of object found
    */
-  async findWildcard(type, field, wildcard, pager, fn) {
-    fn = fn || noop;
+  async findWildcard(type, field, wildcard, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     var params = {
       field: field,
@@ -904,7 +1534,7 @@ export default class ParaClient {
     };
     params = merge(params, this.pagerToParams(pager));
     var that = this;
-    return this.find('wildcard', params).then(function (results) {
+    return this.find('wildcard', params, null, options).then(function (results) {
       var res = that.getItems(results, pager);
       fn(res);
       return res;
@@ -915,10 +1545,12 @@ export default class ParaClient {
    * @param {String} type the type of object to search for
    * @param {Object} terms a map of fields (property names) to terms (property values)
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} the number of results found
    */
-  async getCount(type, terms, fn) {
-    fn = fn || noop;
+  async getCount(type, terms, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (type === null && terms === null) {
       fn(0);
       return resolve(0);
@@ -929,7 +1561,7 @@ export default class ParaClient {
     var that = this;
     params['type'] = type;
     if (isEmpty(terms)) {
-      return this.find('count', params).then(function (results) {
+      return this.find('count', params, null, options).then(function (results) {
         that.getItems(results, pager);
         var res = pager.count;
         fn(res);
@@ -946,7 +1578,7 @@ export default class ParaClient {
         params['terms'] = list;
       }
       params['count'] = 'true';
-      return this.find('terms', params).then(function (results) {
+      return this.find('terms', params, null, options).then(function (results) {
         that.getItems(results, pager);
         var res = pager.count;
         fn(res);
@@ -962,10 +1594,12 @@ export default class ParaClient {
    * @param {ParaObject} obj the object to execute this method on
    * @param {String} type2 the other type of object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} the number of links for the given object
    */
-  async countLinks(obj, type2, fn) {
-    fn = fn || noop;
+  async countLinks(obj, type2, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !type2) {
       fn(0);
@@ -976,7 +1610,7 @@ export default class ParaClient {
     var pager = new Pager();
     var url = obj.getObjectURI() + '/links/' + urlEncode(type2);
     var that = this;
-    return this.getEntity(this.invokeGet(url, params)).then(function (result) {
+    return this.getEntity(this.invokeGet(url, params, options)).then(function (result) {
       that.getItems(result, pager);
       var res = pager.count;
       fn(res);
@@ -989,10 +1623,12 @@ export default class ParaClient {
    * @param {String} type2 the other type of object
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of linked objects
    */
-  async getLinkedObjects(obj, type2, pager, fn) {
-    fn = fn || noop;
+  async getLinkedObjects(obj, type2, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !type2) {
@@ -1001,24 +1637,28 @@ export default class ParaClient {
     }
     var url = obj.getObjectURI() + '/links/' + urlEncode(type2);
     var that = this;
-    return this.getEntity(this.invokeGet(url, this.pagerToParams(pager))).then(function (result) {
-      var res = that.getItems(result, pager);
-      fn(res);
-      return res;
-    });
+    return this.getEntity(this.invokeGet(url, this.pagerToParams(pager), options)).then(
+      function (result) {
+        var res = that.getItems(result, pager);
+        fn(res);
+        return res;
+      }
+    );
   }
   /**
    * Searches through all linked objects in many-to-many relationships.
    * @param {ParaObject} obj the object to execute this method on
    * @param {String} type2 the other type of object
    * @param {String} field the name of the field to target (within a nested field "nstd")
-   * @param {String} query a query string
+   * @param {String|Query} query a query string or a Query
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of linked objects
    */
-  async findLinkedObjects(obj, type2, field, query, pager, fn) {
-    fn = fn || noop;
+  async findLinkedObjects(obj, type2, field, query, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !type2) {
@@ -1027,12 +1667,12 @@ export default class ParaClient {
     }
     var params = {
       field: field,
-      q: query || '*'
+      q: toQueryString(query) || '*'
     };
     params = merge(params, this.pagerToParams(pager));
     var url = obj.getObjectURI() + '/links/' + urlEncode(type2);
     var that = this;
-    return this.getEntity(this.invokeGet(url, params)).then(function (result) {
+    return this.getEntity(this.invokeGet(url, params, options)).then(function (result) {
       var res = that.getItems(result, pager);
       fn(res);
       return res;
@@ -1044,17 +1684,19 @@ export default class ParaClient {
    * @param {String} type2 the other type of object
    * @param {String} id2 the other id
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} true if the two are linked
    */
-  async isLinked(obj, type2, id2, fn) {
-    fn = fn || noop;
+  async isLinked(obj, type2, id2, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !type2 || !id2) {
       fn(false);
       return resolve(false);
     }
     var url = obj.getObjectURI() + '/links/' + urlEncode(type2) + '/' + urlEncode(id2);
-    return this.getEntity(this.invokeGet(url)).then(function (result) {
+    return this.getEntity(this.invokeGet(url, null, options)).then(function (result) {
       var res = result === 'true';
       fn(res);
       return res;
@@ -1065,17 +1707,19 @@ export default class ParaClient {
    * @param {ParaObject} obj the object to execute this method on
    * @param {ParaObject} toObj the other object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} true if linked
    */
-  async isLinkedToObject(obj, toObj, fn) {
-    fn = fn || noop;
+  async isLinkedToObject(obj, toObj, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     checkParaObject(toObj);
     if (!obj || !obj.getId() || !toObj || !toObj.getId()) {
       fn(false);
       return resolve(false);
     }
-    return this.isLinked(obj, toObj.getType(), toObj.getId(), fn);
+    return this.isLinked(obj, toObj.getType(), toObj.getId(), fn, options);
   }
   /**
    * Links an object to this one in a many-to-many relationship.
@@ -1084,17 +1728,19 @@ export default class ParaClient {
    * @param {ParaObject} obj the object to execute this method on
    * @param {String} id2 the other id
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} the id of the Linker object that is created
    */
-  async link(obj, id2, fn) {
-    fn = fn || noop;
+  async link(obj, id2, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !id2) {
       fn(null);
       return resolve(null);
     }
     var url = obj.getObjectURI() + '/links/' + urlEncode(id2);
-    return this.getEntity(this.invokePost(url), fn);
+    return this.getEntity(this.invokePost(url, null, options), fn);
   }
   /**
    * Unlinks an object from this one.
@@ -1103,17 +1749,19 @@ export default class ParaClient {
    * @param {String} type2 the other type of object
    * @param {String} id2 the other id
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} promise
    */
-  async unlink(obj, type2, id2, fn) {
-    fn = fn || noop;
+  async unlink(obj, type2, id2, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !type2 || !id2) {
       fn(null);
       return resolve(null);
     }
     var url = obj.getObjectURI() + '/links/' + urlEncode(type2) + '/' + urlEncode(id2);
-    return this.getEntity(this.invokeDelete(url), fn);
+    return this.getEntity(this.invokeDelete(url, null, options), fn);
   }
   /**
    * Unlinks all objects that are linked to this one.
@@ -1121,27 +1769,31 @@ export default class ParaClient {
    * Only the links are deleted. Objects are left untouched.
    * @param {ParaObject} obj the object to execute this method on
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} promise
    */
-  async unlinkAll(obj, fn) {
-    fn = fn || noop;
+  async unlinkAll(obj, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (!obj || !obj.getId()) {
       fn(null);
       return resolve(null);
     }
     var url = obj.getObjectURI() + '/links';
-    return this.getEntity(this.invokeDelete(url), fn);
+    return this.getEntity(this.invokeDelete(url, null, options), fn);
   }
   /**
    * Count the total number of child objects for this object.
    * @param {ParaObject} obj the object to execute this method on
    * @param {String} type2 the other type of object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} the number of links
    */
-  async countChildren(obj, type2, fn) {
-    fn = fn || noop;
+  async countChildren(obj, type2, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !type2) {
       fn(0);
@@ -1153,7 +1805,7 @@ export default class ParaClient {
     var pager = new Pager();
     var url = obj.getObjectURI() + '/links/' + urlEncode(type2);
     var that = this;
-    return this.getEntity(this.invokeGet(url, params)).then(function (result) {
+    return this.getEntity(this.invokeGet(url, params, options)).then(function (result) {
       that.getItems(result, pager);
       var res = pager.count;
       fn(res);
@@ -1168,10 +1820,12 @@ export default class ParaClient {
    * @param {String} term the field value to use as filter
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of ParaObject in a one-to-many relationship with this object
    */
-  async getChildren(obj, type2, field, term, pager, fn) {
-    fn = fn || noop;
+  async getChildren(obj, type2, field, term, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !type2) {
@@ -1189,7 +1843,7 @@ export default class ParaClient {
     params = merge(params, this.pagerToParams(pager));
     var url = obj.getObjectURI() + '/links/' + urlEncode(type2);
     var that = this;
-    return this.getEntity(this.invokeGet(url, params)).then(function (result) {
+    return this.getEntity(this.invokeGet(url, params, options)).then(function (result) {
       var res = that.getItems(result, pager);
       fn(res);
       return res;
@@ -1200,13 +1854,15 @@ export default class ParaClient {
    * connected to this parent via the `parentid` field.
    * @param {ParaObject} obj the object to execute this method on
    * @param {String} type2 the other type of object
-   * @param {String} query a query string
+   * @param {String|Query} query a query string or a Query
    * @param {Pager} pager a Pager object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a list of ParaObject in a one-to-many relationship with this object
    */
-  async findChildren(obj, type2, query, pager, fn) {
-    fn = fn || noop;
+  async findChildren(obj, type2, query, pager, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     fn = checkPager(pager, fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !type2) {
@@ -1215,12 +1871,12 @@ export default class ParaClient {
     }
     var params = {
       childrenonly: 'true',
-      q: query || '*'
+      q: toQueryString(query) || '*'
     };
     params = merge(params, this.pagerToParams(pager));
     var url = obj.getObjectURI() + '/links/' + urlEncode(type2);
     var that = this;
-    return this.getEntity(this.invokeGet(url, params)).then(function (result) {
+    return this.getEntity(this.invokeGet(url, params, options)).then(function (result) {
       var res = that.getItems(result, pager);
       fn(res);
       return res;
@@ -1231,10 +1887,12 @@ export default class ParaClient {
    * @param {ParaObject} obj the object to execute this method on
    * @param {String} type2 the other type of object
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} promise
    */
-  async deleteChildren(obj, type2, fn) {
-    fn = fn || noop;
+  async deleteChildren(obj, type2, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkParaObject(obj);
     if (!obj || !obj.getId() || !type2) {
       fn(null);
@@ -1243,7 +1901,7 @@ export default class ParaClient {
     var params = {};
     params['childrenonly'] = 'true';
     var url = obj.getObjectURI() + '/links/' + urlEncode(type2);
-    return this.getEntity(this.invokeDelete(url, params), fn);
+    return this.getEntity(this.invokeDelete(url, params, options), fn);
   }
   /////////////////////////////////////////////
   //				 UTILS
@@ -1251,11 +1909,13 @@ export default class ParaClient {
   /**
    * Generates a new unique id.
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a new id
    */
-  async newId(fn) {
-    fn = fn || noop;
-    return this.getEntity(this.invokeGet('utils/newid')).then(function (result) {
+  async newId(fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    return this.getEntity(this.invokeGet('utils/newid', null, options)).then(function (result) {
       var res = result ? result : '';
       fn(res);
       return res;
@@ -1264,11 +1924,13 @@ export default class ParaClient {
   /**
    * Returns the current timestamp.
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} timestamp in milliseconds
    */
-  async getTimestamp(fn) {
-    fn = fn || noop;
-    return this.getEntity(this.invokeGet('utils/timestamp')).then(function (result) {
+  async getTimestamp(fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    return this.getEntity(this.invokeGet('utils/timestamp', null, options)).then(function (result) {
       var res = result ? result : 0;
       fn(res);
       return res;
@@ -1279,52 +1941,62 @@ export default class ParaClient {
    * @param {String} format the date format
    * @param {String} locale the locale instance
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a formatted date
    */
-  async formatDate(format, locale, fn) {
+  async formatDate(format, locale, fn, options) {
+    options = checkOptions(fn, options);
     var params = { format: format || '', locale: locale || 'US' };
-    return this.getEntity(this.invokeGet('utils/formatdate', params), fn);
+    return this.getEntity(this.invokeGet('utils/formatdate', params, options), fn);
   }
   /**
    * Converts spaces to dashes.
    * @param {String} str a string with spaces
    * @param {String} replaceWith a string to replace spaces with
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a string with no whitespace
    */
-  async noSpaces(str, replaceWith, fn) {
+  async noSpaces(str, replaceWith, fn, options) {
+    options = checkOptions(fn, options);
     var params = { string: str || '', replacement: replaceWith || '' };
-    return this.getEntity(this.invokeGet('utils/nospaces', params), fn);
+    return this.getEntity(this.invokeGet('utils/nospaces', params, options), fn);
   }
   /**
    * Strips all symbols, punctuation, whitespace and control chars from a string.
    * @param {String} str a dirty string
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a clean string
    */
-  async stripAndTrim(str, fn) {
+  async stripAndTrim(str, fn, options) {
+    options = checkOptions(fn, options);
     var params = { string: str || '' };
-    return this.getEntity(this.invokeGet('utils/nosymbols', params), fn);
+    return this.getEntity(this.invokeGet('utils/nosymbols', params, options), fn);
   }
   /**
    * Converts Markdown to HTML
    * @param {String} markdownString some Markdown
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} HTML
    */
-  async markdownToHtml(markdownString, fn) {
+  async markdownToHtml(markdownString, fn, options) {
+    options = checkOptions(fn, options);
     var params = { md: markdownString || '' };
-    return this.getEntity(this.invokeGet('utils/md2html', params), fn);
+    return this.getEntity(this.invokeGet('utils/md2html', params, options), fn);
   }
   /**
    * Returns the number of minutes, hours, months elapsed for a time delta (milliseconds).
    * @param {Number} delta the time delta between two events, in milliseconds
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a string like "5m", "1h"
    */
-  async approximately(delta, fn) {
+  async approximately(delta, fn, options) {
+    options = checkOptions(fn, options);
     var params = { delta: delta || 0 };
-    return this.getEntity(this.invokeGet('utils/timeago', params), fn);
+    return this.getEntity(this.invokeGet('utils/timeago', params, options), fn);
   }
   /////////////////////////////////////////////
   //				 MISC
@@ -1333,12 +2005,14 @@ export default class ParaClient {
    * Generates a new set of access/secret keys.
    * Old keys are discarded and invalid after this.
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map of new credentials
    */
-  async newKeys(fn) {
-    fn = fn || noop;
+  async newKeys(fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     var that = this;
-    return this.getEntity(this.invokePost('_newkeys')).then(function (result) {
+    return this.getEntity(this.invokePost('_newkeys', null, options)).then(function (result) {
       var res = result || {};
       if (res.secretKey && !isEmpty(res.secretKey.trim())) {
         that.setSecret(res.secretKey);
@@ -1350,37 +2024,51 @@ export default class ParaClient {
   /**
    * Returns all registered types for this App.
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map of plural-singular form of all the registered types.
    */
-  async types(fn) {
-    return this.getEntity(this.invokeGet('_types'), fn);
+  async types(fn, options) {
+    options = checkOptions(fn, options);
+    return this.getEntity(this.invokeGet('_types', null, options), fn);
   }
   /**
    * Returns the number of objects for each existing type in this App.
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map of singular object type to object count.
    */
-  async typesCount(fn) {
-    return this.getEntity(this.invokeGet('_types', { count: 'true' }), fn);
+  async typesCount(fn, options) {
+    options = checkOptions(fn, options);
+    return this.getEntity(this.invokeGet('_types', { count: 'true' }, options), fn);
   }
   /**
    * Returns a User or an App that is currently authenticated.
    * @param {String} accessToken a valid JWT access token (optional)
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a ParaObject
    */
-  async me(accessToken, fn) {
-    fn = isFunction(accessToken) ? accessToken : fn || noop;
+  async me(accessToken, fn, options) {
+    options = checkOptions(fn, options);
+    fn = isFunction(accessToken) ? accessToken : checkCallback(fn);
     if (accessToken && isString(accessToken)) {
       var auth = startsWith(accessToken, 'Bearer') ? accessToken : 'Bearer ' + accessToken;
       var headers = { Authorization: auth };
       return this.getEntity(
-        this.invokeSignedRequest('GET', this.endpoint, this.getFullPath('_me'), headers),
+        this.invokeSignedRequest(
+          'GET',
+          this.endpoint,
+          this.getFullPath('_me'),
+          headers,
+          null,
+          null,
+          options
+        ),
         fn,
         false
       );
     } else {
-      return this.getEntity(this.invokeGet('_me'), fn, false);
+      return this.getEntity(this.invokeGet('_me', null, options), fn, false);
     }
   }
   /**
@@ -1388,60 +2076,72 @@ export default class ParaClient {
    * @param {ParaObject} obj the object to receive +1 votes
    * @param {String} voterid the userid of the voter
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} true if vote was successful
    */
-  async voteUp(obj, voterid, expiresAfter, lockedAfter, fn) {
-    fn = isFunction(expiresAfter) ? expiresAfter : fn || noop;
+  async voteUp(obj, voterid, expiresAfter, lockedAfter, fn, options) {
+    options = checkOptions(fn, options);
+    fn = isFunction(expiresAfter) ? expiresAfter : checkCallback(fn);
     if (!obj || isEmpty(voterid)) {
       fn(false);
       return resolve(false);
     }
+    uncacheObjects(this, [obj.getId()]);
     var body = { _voteup: voterid };
     if (isInteger(expiresAfter) && isInteger(lockedAfter)) {
       body['_vote_expires_after'] = expiresAfter;
       body['_vote_locked_after'] = lockedAfter;
     }
-    return this.getEntity(this.invokePatch(obj.getObjectURI(), body)).then(function (result) {
-      var res = result === 'true';
-      fn(res);
-      return res;
-    });
+    return this.getEntity(this.invokePatch(obj.getObjectURI(), body, options)).then(
+      function (result) {
+        var res = result === 'true';
+        fn(res);
+        return res;
+      }
+    );
   }
   /**
    * Downvote an object and register the vote in DB.
    * @param {ParaObject} obj the object to receive +1 votes
    * @param {String} voterid the userid of the voter
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} true if vote was successful
    */
-  async voteDown(obj, voterid, expiresAfter, lockedAfter, fn) {
-    fn = isFunction(expiresAfter) ? expiresAfter : fn || noop;
-    fn = fn || noop;
+  async voteDown(obj, voterid, expiresAfter, lockedAfter, fn, options) {
+    options = checkOptions(fn, options);
+    fn = isFunction(expiresAfter) ? expiresAfter : checkCallback(fn);
+    fn = checkCallback(fn);
     if (!obj || isEmpty(voterid)) {
       fn(false);
       return resolve(false);
     }
+    uncacheObjects(this, [obj.getId()]);
     var body = { _votedown: voterid };
     if (isInteger(expiresAfter) && isInteger(lockedAfter)) {
       body['_vote_expires_after'] = expiresAfter;
       body['_vote_locked_after'] = lockedAfter;
     }
-    return this.getEntity(this.invokePatch(obj.getObjectURI(), body)).then(function (result) {
-      var res = result === 'true';
-      fn(res);
-      return res;
-    });
+    return this.getEntity(this.invokePatch(obj.getObjectURI(), body, options)).then(
+      function (result) {
+        var res = result === 'true';
+        fn(res);
+        return res;
+      }
+    );
   }
   /**
    * Rebuilds the entire search index.
    * @param {String} destinationIndex an existing index as destination
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a response object with properties "tookMillis" and "reindexed"
    */
-  async rebuildIndex(destinationIndex, fn) {
-    fn = fn || noop;
+  async rebuildIndex(destinationIndex, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!destinationIndex) {
-      return this.getEntity(this.invokePost('_reindex'), fn);
+      return this.getEntity(this.invokePost('_reindex', null, options), fn);
     } else {
       return this.getEntity(
         this.invokeSignedRequest(
@@ -1449,23 +2149,217 @@ export default class ParaClient {
           this.endpoint,
           this.getFullPath('_reindex'),
           {},
-          { destinationIndex: destinationIndex }
+          { destinationIndex: destinationIndex },
+          null,
+          options
         ),
         fn
       );
     }
   }
   /////////////////////////////////////////////
+  //			Import / Export
+  /////////////////////////////////////////////
+  /**
+   * Exports all objects of a type, following pager.lastKey from page to page.
+   * The result can be written to a file with <code>stream.Readable.from()</code> in Node.js.
+   * @param {String} type the type of objects to export
+   * @param {Object} options export options (optional):
+   * <ul>
+   * <li>format - 'ndjson' for one JSON object per line, or 'csv' (default: 'ndjson')</li>
+   * <li>columns - the CSV columns, a list of field names like 'properties.color', or a map of
+   * column headers to field names (default: id, type, name, parentid, creatorid, timestamp)</li>
+   * <li>pageSize - the number of objects requested at a time</li>
+   * <li>signal, timeout - request options applied to each page</li>
+   * </ul>
+   * @returns {AsyncGenerator} lines of text, each ending with a line break
+   */
+  exportType(type, options) {
+    return exportObjects(this, [type], options || {});
+  }
+  /**
+   * Exports all objects of all types, including the links between them.
+   * @param {Object} options export options, see exportType(), and 'types', the list of types
+   * to export (default: all types returned by typesCount() and 'linker') (optional)
+   * @returns {AsyncGenerator} lines of text, each ending with a line break
+   */
+  async *exportAll(options) {
+    options = options || {};
+    var types = options.types;
+    if (!types) {
+      types = Object.keys((await this.typesCount(null, options)) || {});
+      if (types.indexOf(LINKER_TYPE) < 0) {
+        types.push(LINKER_TYPE);
+      }
+    }
+    yield* exportObjects(this, types, options);
+  }
+  /**
+   * Imports objects exported with exportType() or exportAll(), writing them with createAll().
+   * Linker objects are not written directly, the links are created again with link() after
+   * all other objects are imported.
+   * @param {String|Iterable|AsyncIterable} source NDJSON text, or an (async) iterable of NDJSON
+   * chunks (strings or bytes, e.g. a Node.js stream) or of plain objects
+   * @param {Object} options import options (optional):
+   * <ul>
+   * <li>dryRun - if true, the objects are read and checked but nothing is written</li>
+   * <li>upsert - if false, objects whose ids already exist are skipped (default: true)</li>
+   * <li>remapIds - true to give each object a new random id, or a function(oldId, obj) which
+   * returns the new id. Links, and the 'parentid' and 'creatorid' fields which point to
+   * objects imported earlier, are updated with the new ids</li>
+   * <li>links - if false, links are not created (default: true)</li>
+   * <li>chunkSize, concurrency - batch options, see createAll()</li>
+   * <li>onProgress - called with { done, failed } after each chunk</li>
+   * <li>signal, timeout - request options</li>
+   * </ul>
+   * @returns {Promise} a report { succeeded, failed, missing, skipped, links, ids }, where
+   * succeeded, missing and skipped hold object ids, failed holds { item, error } pairs,
+   * links is the number of links created and ids maps old ids to new ones
+   */
+  async importObjects(source, options) {
+    options = options || {};
+    var that = this;
+    var chunkSize = options.chunkSize > 0 ? options.chunkSize : this.batchOptions.chunkSize;
+    var report = { succeeded: [], failed: [], missing: [], skipped: [], links: 0, ids: {} };
+    var requestOptions = { signal: options.signal, timeout: options.timeout };
+    var mapId = getIdMapper(options.remapIds, report.ids);
+    var linkers = [];
+    var buffer = [];
+    var flush = async function () {
+      var objects = buffer;
+      buffer = [];
+      if (options.upsert === false && !mapId) {
+        var ids = objects
+          .map(function (obj) {
+            return obj.getId();
+          })
+          .filter(Boolean);
+        var existing = {};
+        (await that.readAll(ids, merge({ cache: false }, requestOptions))).forEach(function (obj) {
+          existing[obj.getId()] = true;
+          report.skipped.push(obj.getId());
+        });
+        objects = objects.filter(function (obj) {
+          return !existing[obj.getId()];
+        });
+      }
+      if (options.dryRun) {
+        objects.forEach(function (obj) {
+          report.succeeded.push(obj.getId());
+        });
+      } else if (!isEmpty(objects)) {
+        var res = await that.createAll(
+          objects,
+          merge(
+            { report: true, chunkSize: chunkSize, concurrency: options.concurrency },
+            requestOptions
+          )
+        );
+        res.succeeded.forEach(function (obj) {
+          report.succeeded.push(obj.getId());
+        });
+        report.failed = report.failed.concat(res.failed);
+        report.missing = report.missing.concat(res.missing);
+      }
+      if (isFunction(options.onProgress)) {
+        options.onProgress({
+          done: report.succeeded.length + report.failed.length + report.skipped.length,
+          failed: report.failed.length
+        });
+      }
+    };
+    for await (var record of readRecords(source)) {
+      if (record instanceof Error || !record || !record.type) {
+        report.failed.push({
+          item: record instanceof Error ? record.line : record,
+          error:
+            record instanceof Error
+              ? record
+              : new ParaValidationError('Object type is required.', { status: 400 })
+        });
+        continue;
+      }
+      if (record.type === LINKER_TYPE) {
+        linkers.push(record);
+        continue;
+      }
+      var obj = toParaObject(this, record);
+      if (mapId) {
+        obj.id = mapId(obj.id, obj);
+        ['parentid', 'creatorid'].forEach(function (field) {
+          if (obj[field] && report.ids[obj[field]]) {
+            obj[field] = report.ids[obj[field]];
+          }
+        });
+      }
+      buffer.push(obj);
+      if (buffer.length >= chunkSize) {
+        await flush();
+      }
+    }
+    if (!isEmpty(buffer)) {
+      await flush();
+    }
+    if (options.links !== false) {
+      for (var linker of linkers) {
+        var id1 = report.ids[linker.id1] || linker.id1;
+        var id2 = report.ids[linker.id2] || linker.id2;
+        try {
+          if (!options.dryRun) {
+            await this.link(new ParaObject(id1, linker.type1), id2, requestOptions);
+          }
+          report.links++;
+        } catch (e) {
+          if (e instanceof ParaAbortError) {
+            throw e;
+          }
+          report.failed.push({ item: linker, error: e });
+        }
+      }
+    }
+    return report;
+  }
+  /////////////////////////////////////////////
   //			Validation Constraints
   /////////////////////////////////////////////
   /**
    * Returns the validation constraints map.
    * @param {String} type a type
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map containing all validation constraints.
    */
-  async validationConstraints(type, fn) {
-    return this.getEntity(this.invokeGet('_constraints' + (type ? '/' + urlEncode(type) : '')), fn);
+  async validationConstraints(type, fn, options) {
+    options = checkOptions(fn, options);
+    return this.getEntity(
+      this.invokeGet('_constraints' + (type ? '/' + urlEncode(type) : ''), null, options),
+      fn
+    );
+  }
+  /**
+   * Validates an object locally against the validation constraints of its type, so that
+   * invalid objects can be rejected without a round-trip. The constraints are fetched with
+   * validationConstraints() and cached for 'validation.ttl' ms (default: 5 min).
+   * @param {ParaObject} obj the object to validate
+   * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, set 'cache' to false
+   * to fetch the constraints again and 'fields' to a list of field names to validate only
+   * those fields (optional)
+   * @returns {Promise} a map of field names to lists of errors, empty if the object is valid,
+   * see Constraint.validate()
+   */
+  async validate(obj, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    checkParaObject(obj);
+    if (!obj) {
+      fn({});
+      return resolve({});
+    }
+    var constraints = await getConstraints(this, obj.getType(), options);
+    var errors = Constraint.validate(obj, constraints, options.fields);
+    fn(errors);
+    return errors;
   }
   /**
    * Add a new constraint for a given field.
@@ -1473,19 +2367,23 @@ export default class ParaClient {
    * @param {String} field a field name
    * @param {Constraint} cons the constraint
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map containing all validation constraints for this type.
    */
-  async addValidationConstraint(type, field, cons, fn) {
-    fn = fn || noop;
+  async addValidationConstraint(type, field, cons, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     checkConstraint(cons);
     if (!type || !field || !cons) {
       fn({});
       return resolve({});
     }
+    this.constraints.delete(type);
     return this.getEntity(
       this.invokePut(
         '_constraints/' + urlEncode(type) + '/' + field + '/' + cons.getName(),
-        cons.getPayload()
+        cons.getPayload(),
+        options
       ),
       fn
     );
@@ -1496,19 +2394,92 @@ export default class ParaClient {
    * @param {String} field a field name
    * @param {String} constraintName the name of the constraint to remove
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map containing all validation constraints for this type.
    */
-  async removeValidationConstraint(type, field, constraintName, fn) {
-    fn = fn || noop;
+  async removeValidationConstraint(type, field, constraintName, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!type || !field || !constraintName) {
       fn({});
       return resolve({});
     }
+    this.constraints.delete(type);
     return this.getEntity(
-      this.invokeDelete('_constraints/' + urlEncode(type) + '/' + field + '/' + constraintName),
+      this.invokeDelete(
+        '_constraints/' + urlEncode(type) + '/' + field + '/' + constraintName,
+        null,
+        options
+      ),
       fn
     );
   }
+  /**
+   * Makes the validation constraints on the server match a JSON Schema. Constraints which are
+   * missing or different are added, and constraints which are not in the schema are removed,
+   * but only for the types in the schema. See jsonSchemaToConstraints().
+   * @param {Object} schema a JSON Schema
+   * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, and:
+   * <ul>
+   * <li>type - the type described by the schema, if it has no '$defs' or 'title'</li>
+   * <li>remove - if false, constraints which are not in the schema are kept (default: true)</li>
+   * <li>dryRun - if true, nothing is changed on the server</li>
+   * </ul>
+   * (optional)
+   * @returns {Promise} a report { added, removed, unchanged }, where added and removed hold
+   * { type, field, constraint } entries with constraint names and unchanged is a count
+   */
+  async syncValidationConstraints(schema, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    var requestOptions = { signal: options.signal, timeout: options.timeout };
+    var desired = jsonSchemaToConstraints(schema, options.type);
+    var types = [];
+    desired.forEach(function (item) {
+      if (types.indexOf(item.type) < 0) {
+        types.push(item.type);
+      }
+    });
+    var report = { added: [], removed: [], unchanged: 0 };
+    for (var type of types) {
+      var res = await this.validationConstraints(type, requestOptions);
+      var current = (res && res[type]) || {};
+      var wanted = {};
+      for (var item of desired) {
+        if (item.type !== type) {
+          continue;
+        }
+        var name = item.constraint.getName();
+        wanted[item.field + '/' + name] = true;
+        var payload = current[item.field] && current[item.field][name];
+        if (payload && samePayload(payload, item.constraint.getPayload())) {
+          report.unchanged++;
+          continue;
+        }
+        report.added.push({ type: type, field: item.field, constraint: name });
+        if (!options.dryRun) {
+          await this.addValidationConstraint(type, item.field, item.constraint, requestOptions);
+        }
+      }
+      if (options.remove === false) {
+        continue;
+      }
+      for (var field in current) {
+        for (var existing in current[field]) {
+          if (wanted[field + '/' + existing]) {
+            continue;
+          }
+          report.removed.push({ type: type, field: field, constraint: existing });
+          if (!options.dryRun) {
+            await this.removeValidationConstraint(type, field, existing, requestOptions);
+          }
+        }
+      }
+    }
+    fn(report);
+    return report;
+  }
   /////////////////////////////////////////////
   //			Resource Permissions
   /////////////////////////////////////////////
@@ -1517,13 +2488,18 @@ export default class ParaClient {
    * If subject is not given returns the permissions for all subjects and resources for current app.
    * @param {String} subjectid the subject id (user id)
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map of subject ids to resource names to a list of allowed methods
    */
-  async resourcePermissions(subjectid, fn) {
+  async resourcePermissions(subjectid, fn, options) {
+    options = checkOptions(fn, options);
     if (!subjectid) {
-      return this.getEntity(this.invokeGet('_permissions'), fn);
+      return this.getEntity(this.invokeGet('_permissions', null, options), fn);
     } else {
-      return this.getEntity(this.invokeGet('_permissions/' + urlEncode(subjectid)), fn);
+      return this.getEntity(
+        this.invokeGet('_permissions/' + urlEncode(subjectid), null, options),
+        fn
+      );
     }
   }
   /**
@@ -1532,10 +2508,12 @@ export default class ParaClient {
    * @param {String} resourcePath resource path or object type
    * @param {Array} permission a set of HTTP methods
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map of the permissions for this subject id
    */
-  async grantResourcePermission(subjectid, resourcePath, permission, fn) {
-    return this.grantResourcePermissions(subjectid, resourcePath, permission, false, fn);
+  async grantResourcePermission(subjectid, resourcePath, permission, fn, options) {
+    options = checkOptions(fn, options);
+    return this.grantResourcePermissions(subjectid, resourcePath, permission, false, fn, options);
   }
   /**
    * Grants a permission to a subject that allows them to call the specified HTTP methods on a given resource.
@@ -1544,10 +2522,19 @@ export default class ParaClient {
    * @param {Array} permission a set of HTTP methods
    * @param {Boolean} allowGuestAccess if true - all unauthenticated requests will go through, 'false' by default.
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map of the permissions for this subject id
    */
-  async grantResourcePermissions(subjectid, resourcePath, permission, allowGuestAccess, fn) {
-    fn = fn || noop;
+  async grantResourcePermissions(
+    subjectid,
+    resourcePath,
+    permission,
+    allowGuestAccess,
+    fn,
+    options
+  ) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!subjectid || !resourcePath || !permission || !isArray(permission)) {
       fn({});
       return resolve({});
@@ -1557,7 +2544,11 @@ export default class ParaClient {
     }
     resourcePath = base64Url(resourcePath);
     return this.getEntity(
-      this.invokePut('_permissions/' + urlEncode(subjectid) + '/' + resourcePath, permission),
+      this.invokePut(
+        '_permissions/' + urlEncode(subjectid) + '/' + resourcePath,
+        permission,
+        options
+      ),
       fn
     );
   }
@@ -1566,17 +2557,19 @@ export default class ParaClient {
    * @param {String} subjectid subject id (user id)
    * @param {String} resourcePath resource path or object type
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map of the permissions for this subject id
    */
-  async revokeResourcePermission(subjectid, resourcePath, fn) {
-    fn = fn || noop;
+  async revokeResourcePermission(subjectid, resourcePath, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!subjectid || !resourcePath) {
       fn({});
       return resolve({});
     }
     resourcePath = base64Url(resourcePath);
     return this.getEntity(
-      this.invokeDelete('_permissions/' + urlEncode(subjectid) + '/' + resourcePath),
+      this.invokeDelete('_permissions/' + urlEncode(subjectid) + '/' + resourcePath, null, options),
       fn
     );
   }
@@ -1584,15 +2577,20 @@ export default class ParaClient {
    * Revokes all permission for a subject.
    * @param {String} subjectid subject id (user id)
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map of the permissions for this subject id
    */
-  async revokeAllResourcePermissions(subjectid, fn) {
-    fn = fn || noop;
+  async revokeAllResourcePermissions(subjectid, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!subjectid) {
       fn({});
       return resolve({});
     }
-    return this.getEntity(this.invokeDelete('_permissions/' + urlEncode(subjectid)), fn);
+    return this.getEntity(
+      this.invokeDelete('_permissions/' + urlEncode(subjectid), null, options),
+      fn
+    );
   }
   /**
    * Checks if a subject is allowed to call method X on resource Y.
@@ -1600,25 +2598,27 @@ export default class ParaClient {
    * @param {String} resourcePath resource path or object type
    * @param {String} httpMethod HTTP method name
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} true if allowed
    */
-  async isAllowedTo(subjectid, resourcePath, httpMethod, fn) {
-    fn = fn || noop;
+  async isAllowedTo(subjectid, resourcePath, httpMethod, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!subjectid || !resourcePath || !httpMethod) {
       fn(false);
       return resolve(false);
     }
+    var that = this;
     resourcePath = base64Url(resourcePath);
     var url = '_permissions/' + urlEncode(subjectid) + '/' + resourcePath + '/' + httpMethod;
-    return this.getEntity(this.invokeGet(url))
+    return this.getEntity(this.invokeGet(url, null, options))
       .then(function (result) {
         var res = result === 'true';
         fn(res);
         return res;
       })
-      .catch(function () {
-        fn(false);
-        return false;
+      .catch(function (e) {
+        return recoverClientError(e, false, fn, throwsOnClientError(that, options));
       });
   }
   /////////////////////////////////////////////
@@ -1628,14 +2628,16 @@ export default class ParaClient {
    * Returns the value of a specific app setting (property) or all settings if key is blank.
    * @param {String} key a key
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a map
    */
-  async appSettings(key, fn) {
-    fn = fn || noop;
+  async appSettings(key, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!key || isEmpty(key.trim())) {
-      return this.getEntity(this.invokeGet('_settings'), fn);
+      return this.getEntity(this.invokeGet('_settings', null, options), fn);
     } else {
-      return this.getEntity(this.invokeGet('_settings/' + key.trim()), fn);
+      return this.getEntity(this.invokeGet('_settings/' + key.trim(), null, options), fn);
     }
   }
   /**
@@ -1643,43 +2645,49 @@ export default class ParaClient {
    * @param {String} key a key
    * @param {Object} value a value
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} void
    */
-  async addAppSetting(key, value, fn) {
-    fn = fn || noop;
+  async addAppSetting(key, value, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!key || isEmpty(key.trim()) || !value || isEmpty(value)) {
       fn({});
       return resolve({});
     }
-    return this.getEntity(this.invokePut('_settings/' + key.trim(), { value: value }), fn);
+    return this.getEntity(this.invokePut('_settings/' + key.trim(), { value: value }, options), fn);
   }
   /**
    * Overwrites all app-specific settings.
    * @param {Object} settings a key-value map of properties
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} void
    */
-  async setAppSettings(settings, fn) {
-    fn = fn || noop;
+  async setAppSettings(settings, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!settings) {
       fn({});
       return resolve({});
     }
-    return this.getEntity(this.invokePut('_settings', settings), fn);
+    return this.getEntity(this.invokePut('_settings', settings, options), fn);
   }
   /**
    * Removes an app-specific setting.
    * @param {String} key a key
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} void
    */
-  async removeAppSetting(key, fn) {
-    fn = fn || noop;
+  async removeAppSetting(key, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     if (!key || isEmpty(key)) {
       fn({});
       return resolve({});
     }
-    return this.getEntity(this.invokeDelete('_settings/' + key.trim()), fn);
+    return this.getEntity(this.invokeDelete('_settings/' + key.trim(), null, options), fn);
   }
   /////////////////////////////////////////////
   //				Access Tokens
@@ -1694,13 +2702,16 @@ export default class ParaClient {
    * use that as the provider access token.</b>
    * @param {String} provider identity provider, e.g. 'facebook', 'google'...
    * @param {String} providerToken access token from a provider like Facebook, Google, Twitter
-   * @param {Boolean} rememberJWT if true, the access token returned by Para will be saved and available via getAccessToken()
+   * @param {Boolean} rememberJWT if true, the access token returned by Para will be saved and available via getAccessToken(),
+   * and stored in the token store
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} a User object or null if something failed
    */
-  async signIn(provider, providerToken, rememberJWT, fn) {
+  async signIn(provider, providerToken, rememberJWT, fn, options) {
+    options = checkOptions(fn, options);
     var rememberToken = isBoolean(rememberJWT) ? rememberJWT : true;
-    fn = isFunction(rememberJWT) ? rememberJWT : fn || noop;
+    fn = isFunction(rememberJWT) ? rememberJWT : checkCallback(fn);
 
     if (provider && providerToken) {
       var credentials = {};
@@ -1708,17 +2719,19 @@ export default class ParaClient {
       credentials['appid'] = that.accessKey;
       credentials['provider'] = provider;
       credentials['token'] = providerToken;
-      return this.getEntity(this.invokePost(JWT_PATH, credentials))
-        .then(function (result) {
+      return this.getEntity(this.invokePost(JWT_PATH, credentials, options))
+        .then(async function (result) {
           if (result !== null && result['user'] && result['jwt']) {
             var jwtData = result['jwt'];
+            var user = toParaObject(that, result['user']);
             if (jwtData && rememberToken) {
-              that.tokenKey = jwtData['access_token'];
-              that.tokenKeyExpires = jwtData['expires'];
-              that.tokenKeyNextRefresh = jwtData['refresh'];
+              await storeJwt(that, jwtData);
+              that.events.emit('signedIn', {
+                user: user,
+                token: that.tokenKey,
+                expires: that.tokenKeyExpires
+              });
             }
-            var user = new ParaObject();
-            user.setFields(result['user']);
             fn(user);
             return user;
           } else {
@@ -1727,56 +2740,235 @@ export default class ParaClient {
           fn(null);
           return null;
         })
-        .catch(function () {
-          fn(null);
-          return null;
+        .catch(function (e) {
+          that.events.emit('authError', { error: e });
+          return recoverClientError(e, null, fn, throwsOnClientError(that, options));
         });
     }
     fn(null);
     return Promise.reject(new Error('Provider and provider token are required.'));
   }
+  /**
+   * Signs in a user with an email and a password.
+   * @param {String} email the email
+   * @param {String} password the password
+   * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, set 'rememberJWT' to
+   * false to not keep the access token (optional)
+   * @returns {Promise} a User, or rejects with a ParaAuthError, where 'reason' is one of
+   * 'missingCredentials', 'invalidEmail' or 'invalidCredentials'
+   */
+  async signInWithPassword(email, password, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    var problem = checkPasswordCredentials(email, null, password);
+    var token = (email || '').trim() + '::' + password;
+    return signInWith(this, 'password', token, problem, fn, options);
+  }
+  /**
+   * Registers a new user with an email and a password and signs them in.
+   * If the email is taken, this signs in the existing user with that password.
+   * Depending on the app settings, new users may have to verify their email before they can
+   * sign in. This client has no helpers for verification or password reset emails, because
+   * Para has no API for them, so these are up to the app.
+   * @param {String} email the email
+   * @param {String} name the full name of the user
+   * @param {String} password the password
+   * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, set 'rememberJWT' to
+   * false to not keep the access token (optional)
+   * @returns {Promise} a User, or rejects with a ParaAuthError, where 'reason' is one of
+   * 'missingCredentials', 'invalidEmail', 'invalidName' or 'invalidCredentials'
+   */
+  async signUp(email, name, password, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    var problem = checkPasswordCredentials(email, name || '', password);
+    var token = (email || '').trim() + SEPARATOR + (name || '').trim() + SEPARATOR + password;
+    return signInWith(this, 'password', token, problem, fn, options);
+  }
+  /**
+   * Signs in a user through the LDAP server configured for the app.
+   * @param {String} username the LDAP user id
+   * @param {String} password the password
+   * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, set 'rememberJWT' to
+   * false to not keep the access token (optional)
+   * @returns {Promise} a User, or rejects with a ParaAuthError, where 'reason' is one of
+   * 'missingCredentials' or 'invalidCredentials'
+   */
+  async signInWithLdap(username, password, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    var problem = !username || !password ? 'missingCredentials' : null;
+    return signInWith(this, 'ldap', username + SEPARATOR + password, problem, fn, options);
+  }
+  /**
+   * Builds the URL which starts a sign in with an identity provider in the browser.
+   * See startOAuthSignIn().
+   * @param {String} provider 'facebook', 'google', 'github', 'microsoft', 'slack', 'twitter' or
+   * a generic OAuth 2.0 provider: 'oauth2', 'oauth2second', 'oauth2third'
+   * @param {Object} options
+   *   @property {String} clientId the OAuth client id of the app (not needed for Twitter)
+   *   @property {String} scope the requested scope (optional)
+   *   @property {String} authorizeUrl the authorization endpoint (required for generic providers)
+   *   @property {Object} params additional query parameters (optional)
+   * @returns {String} a URL
+   */
+  getOAuthUrl(provider, options) {
+    return buildOAuthUrl(this.endpoint, this.accessKey, provider, options);
+  }
+  /**
+   * Starts a sign in with an identity provider by redirecting the browser to it. The provider
+   * returns to Para, which signs in the user and redirects to the 'signin_success' URL of the
+   * app. Call handleOAuthCallback() on that page. The sign in is remembered in sessionStorage,
+   * so that only this browser session can complete it.
+   * @param {String} provider the identity provider, see getOAuthUrl()
+   * @param {Object} options the options of getOAuthUrl() and
+   *   @property {Storage} storage where the sign in is remembered (default: sessionStorage)
+   *   @property {Boolean} redirect if false, the URL is only returned (default: true)
+   * @returns {String} the URL
+   */
+  startOAuthSignIn(provider, options) {
+    options = options || {};
+    var url = this.getOAuthUrl(provider, options);
+    var storage = options.storage || globalThis.sessionStorage;
+    assert(storage, 'Web Storage is not available.');
+    savePendingSignIn(storage, provider);
+    if (options.redirect !== false) {
+      globalThis.location.assign(url);
+    }
+    return url;
+  }
+  /**
+   * Completes a sign in started with startOAuthSignIn(). Reads the JWT from the 'jwt' parameter
+   * of the URL, saves it with setAccessToken() and fetches the user. Set 'signin_success' to a
+   * URL ending with '?jwt=?' in the app settings, so Para adds the token to it.
+   * The 'jwt' parameter is removed from the address bar.
+   * The token is only accepted if this session started a sign in and the token was issued for
+   * this app after that. This is not full CSRF protection, see the README.
+   * @param {String} url the URL Para redirected to (default: the current location)
+   * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } and
+   *   @property {Storage} storage where the sign in is remembered (default: sessionStorage)
+   *   @property {Number} maxAge how long a sign in may take in milliseconds (default: 10 min)
+   *   @property {Number} clockSkew the allowed difference between the clocks of Para and the
+   * browser in milliseconds (default: 1 min)
+   * @returns {Promise} a User, null if the URL has no result, or rejects with a ParaAuthError,
+   * where 'reason' is 'providerError', 'invalidState' if this session didn't start the
+   * sign in, or 'invalidToken' if the token wasn't issued for it
+   */
+  async handleOAuthCallback(url, fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    var current = globalThis.location ? globalThis.location.href : null;
+    url = url || current;
+    var result = parseOAuthCallback(url || '');
+    if (!result.jwt && !result.error) {
+      fn(null);
+      return null;
+    }
+    var storage = options.storage || globalThis.sessionStorage;
+    assert(storage, 'Web Storage is not available.');
+    var pending = takePendingSignIn(storage, options.maxAge || 10 * 60 * 1000);
+    var skew = isInteger(options.clockSkew) ? options.clockSkew : 60 * 1000;
+    if (url === current && globalThis.history) {
+      globalThis.history.replaceState(globalThis.history.state, '', removeOAuthParams(url));
+    }
+    var error = null;
+    if (result.error) {
+      error = new ParaAuthError(result.error, { reason: 'providerError' });
+    } else if (!pending) {
+      error = new ParaAuthError('No sign in was started in this session.', {
+        reason: 'invalidState'
+      });
+    } else if (!isIssuedForSignIn(readClaims(result.jwt), this.accessKey, pending, skew)) {
+      error = new ParaAuthError('The access token was not issued for this sign in.', {
+        reason: 'invalidToken'
+      });
+    }
+    if (error) {
+      fn(null, error);
+      throw error;
+    }
+    await this.setAccessToken(result.jwt);
+    return this.me(null, fn, options);
+  }
   /**
    * Clears the JWT access token but token is not revoked.
    * Tokens can be revoked globally per user with revokeAllTokens().
+   * Emits 'signedOut'.
+   * @returns {Promise} resolved when the token store is cleared
    */
   signOut() {
-    this.clearAccessToken();
+    return this.clearAccessToken();
   }
   /**
    * Refreshes the JWT access token. This requires a valid existing token.
    * Call link signIn() first.
+   * Concurrent calls share a single refresh request.
+   * Emits 'tokenRefreshed', 'tokenExpired' if the token has expired, or 'authError'.
+   * An expired token can't be refreshed, it stays until signIn(), setAccessToken() or signOut().
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout }, set 'force' to true to
+   * refresh the token before its refresh time (optional)
    * @returns {Promise} true if token was refreshed
    */
-  async refreshToken(fn) {
-    fn = fn || noop;
+  async refreshToken(fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
     var that = this;
     var now = new Date().getTime();
     var notExpired = that.tokenKeyExpires !== null && that.tokenKeyExpires > now;
     var canRefresh =
-      that.tokenKeyNextRefresh !== null &&
-      (that.tokenKeyNextRefresh < now || that.tokenKeyNextRefresh > that.tokenKeyExpires);
+      options.force ||
+      (that.tokenKeyNextRefresh !== null &&
+        (that.tokenKeyNextRefresh < now || that.tokenKeyNextRefresh > that.tokenKeyExpires));
+    if (that.tokenKey !== null && that.tokenKeyExpires !== null && !notExpired) {
+      // the token is kept, so requests aren't signed with the app's credentials instead
+      if (that.expiredToken !== that.tokenKey) {
+        that.expiredToken = that.tokenKey;
+        that.events.emit('tokenExpired', { token: that.tokenKey, expires: that.tokenKeyExpires });
+      }
+      fn(false);
+      return false;
+    }
     // token present and NOT expired
     if (that.tokenKey !== null && notExpired && canRefresh) {
-      return this.getEntity(this.invokeGet(JWT_PATH))
-        .then(function (result) {
-          if (result !== null && result['user'] && result['jwt']) {
-            var jwtData = result['jwt'];
-            that.tokenKey = jwtData['access_token'];
-            that.tokenKeyExpires = jwtData['expires'];
-            that.tokenKeyNextRefresh = jwtData['refresh'];
-            fn(true);
-            return true;
-          } else {
-            that.clearAccessToken();
-          }
-          fn(false);
-          return false;
-        })
-        .catch(function () {
-          fn(false);
-          return false;
-        });
+      if (!that.tokenRefresh) {
+        // not cancelled by the signal of the first caller, because others may be waiting for it
+        var req = this.invokeGet(JWT_PATH, null, { timeout: options.timeout });
+        that.tokenRefresh = this.getEntity(req)
+          .then(async function (result) {
+            if (result !== null && result['user'] && result['jwt']) {
+              await storeJwt(that, result['jwt']);
+              that.events.emit('tokenRefreshed', {
+                user: toParaObject(that, result['user']),
+                token: that.tokenKey,
+                expires: that.tokenKeyExpires
+              });
+              return true;
+            }
+            await that.clearAccessToken();
+            return false;
+          })
+          .catch(function (e) {
+            that.events.emit('authError', { error: e });
+            throw e;
+          })
+          .finally(function () {
+            that.tokenRefresh = null;
+          });
+      }
+      return abortable(that.tokenRefresh, options.signal, 'GET', JWT_PATH).then(
+        function (res) {
+          fn(res);
+          return res;
+        },
+        function (e) {
+          return recoverClientError(e, false, fn, throwsOnClientError(that, options));
+        }
+      );
     }
     fn(false);
     return Promise.resolve(false);
@@ -1785,23 +2977,56 @@ export default class ParaClient {
    * Revokes all user tokens for a given user id.
    * This would be equivalent to "logout everywhere".
    * <b>Note:</b> Generating a new API secret on the server will also invalidate all client tokens.
-   * Requires a valid existing token.
+   * Requires a valid existing token, which is cleared when the tokens are revoked.
+   * Emits 'signedOut'.
    * @param {Function} fn callback (optional)
+   * @param {Object} options request options, e.g. { signal, timeout } (optional)
    * @returns {Promise} true if successful
    */
-  async revokeAllTokens(fn) {
-    fn = fn || noop;
-    return this.getEntity(this.invokeDelete(JWT_PATH))
-      .then(function (result) {
+  async revokeAllTokens(fn, options) {
+    options = checkOptions(fn, options);
+    fn = checkCallback(fn);
+    var that = this;
+    return this.getEntity(this.invokeDelete(JWT_PATH, null, options))
+      .then(async function (result) {
         var res = result !== null;
+        if (res) {
+          await clearToken(that, 'revoked');
+        }
         fn(res);
         return res;
       })
-      .catch(function () {
-        fn(false);
-        return false;
+      .catch(function (e) {
+        return recoverClientError(e, false, fn, throwsOnClientError(that, options));
       });
   }
+  /**
+   * Adds a listener for authentication events:
+   * <ul>
+   * <li>signedIn - { user, token, expires }, user is null if the token was set with
+   * setAccessToken()</li>
+   * <li>tokenRefreshed - { user, token, expires }</li>
+   * <li>signedOut - { reason }, where reason is 'signedOut' or 'revoked'</li>
+   * <li>tokenExpired - { token, expires }, requests are rejected with a ParaAuthError until the
+   * user signs in again</li>
+   * <li>authError - { error }, when signing in or refreshing the token fails, or a request
+   * is rejected with 401 even after refreshing the token</li>
+   * </ul>
+   * @param {String} event the event name
+   * @param {Function} listener called with the event data
+   * @returns {Function} a function which removes the listener
+   */
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+  /**
+   * Removes a listener added with on().
+   * @param {String} event the event name
+   * @param {Function} listener the listener, or all listeners of the event if not given
+   */
+  off(event, listener) {
+    this.events.off(event, listener);
+  }
 }
 
 /////////////////////////////////////////////
@@ -1919,8 +3144,22 @@ function unescape(str) {
   return (str + '==='.slice((str.length + 3) % 4)).replace(/-/g, '+').replace(/_/g, '/');
 }
 
-function decode(str, encoding) {
-  return Buffer.from(unescape(str), 'base64').toString(encoding || 'utf8');
+// works in browsers too, where there is no Buffer
+function decodeBase64Url(str) {
+  var binary = atob(unescape(String(str)));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, function (c) {
+      return c.charCodeAt(0);
+    })
+  );
+}
+
+function readClaims(token) {
+  try {
+    return JSON.parse(decodeBase64Url(token.split('.')[1]));
+  } catch {
+    return null;
+  }
 }
 
 function base64Url(str) {
@@ -1931,6 +3170,775 @@ function resolve(obj) {
   return Promise.resolve(obj);
 }
 
+function sleep(millis) {
+  return new Promise(function (done) {
+    setTimeout(done, millis);
+  });
+}
+
+function getRetryPolicy(retry) {
+  if (retry instanceof RetryPolicy) {
+    return retry;
+  }
+  if (!retry) {
+    return new RetryPolicy({ maxAttempts: 1 });
+  }
+  return new RetryPolicy(isBoolean(retry) ? {} : retry);
+}
+
+function getTransport(transport) {
+  if (transport && isFunction(transport.send)) {
+    return transport;
+  }
+  if (isFunction(transport)) {
+    return { send: transport };
+  }
+  if (transport === 'fetch') {
+    return new FetchTransport();
+  }
+  if (transport === 'superagent' || (!transport && SuperagentTransport.isAvailable())) {
+    return new SuperagentTransport();
+  }
+  return new FetchTransport();
+}
+
+/**
+ * Turns client errors (4xx), like an invalid or expired token, into a plain result,
+ * unless the caller wants them thrown.
+ * Network, server, rate limit and abort errors are always passed on to the caller.
+ * @param {Error} error the error
+ * @param {*} result the value returned on client errors
+ * @param {Function} fn callback, invoked as fn(result, error)
+ * @param {Boolean} rethrow if true, client errors are rejected too
+ * @returns {Promise} the result or a rejected promise
+ */
+function recoverClientError(error, result, fn, rethrow) {
+  fn(result, error);
+  if (
+    !rethrow &&
+    error instanceof ParaError &&
+    error.status >= 400 &&
+    error.status < 500 &&
+    !(error instanceof ParaRateLimitError)
+  ) {
+    return result;
+  }
+  return Promise.reject(error);
+}
+
+/**
+ * Calls a paginated method until all results are fetched and yields them one by one.
+ * @param {ParaClient} client the client
+ * @param {String} method the name of the method
+ * @param {Array} args the method arguments preceding the pager
+ * @param {Object} options iteration options, see ParaClient.iterate
+ * @returns {AsyncGenerator} the results
+ */
+async function* paginate(client, method, args, options) {
+  options = options || {};
+  var pager = options.pager || new Pager();
+  if (options.pageSize > 0) {
+    pager.limit = options.pageSize;
+  }
+  var maxItems = options.maxItems > 0 ? options.maxItems : Infinity;
+  var requestOptions = { signal: options.signal, timeout: options.timeout };
+  var fetched = (pager.page - 1) * pager.limit;
+  var count = 0;
+  while (count < maxItems) {
+    var lastKey = pager.lastKey;
+    var items = await client[method].apply(client, args.concat([pager, noop, requestOptions]));
+    for (var item of items) {
+      if (count >= maxItems) {
+        return;
+      }
+      count++;
+      yield item;
+    }
+    fetched += items.length;
+    if (isEmpty(items) || (pager.count > 0 ? fetched >= pager.count : items.length < pager.limit)) {
+      return;
+    }
+    if (pager.lastKey) {
+      if (pager.lastKey === lastKey) {
+        return;
+      }
+    } else {
+      pager.page++;
+    }
+  }
+}
+
+function toQueryString(query) {
+  return query instanceof Query ? query.toString() : query;
+}
+
+/**
+ * Sends the items of a batch operation in chunks, a limited number of chunks at a time.
+ * Unless a report is requested, no more chunks are sent after the first failure.
+ * @param {ParaClient} client the client
+ * @param {Array} items the objects or ids
+ * @param {Object} options request options with batch options, see createAll()
+ * @param {Function} sendChunk sends a chunk of items and returns a promise of the results
+ * @returns {Promise} a list of { items, result, error } for each chunk
+ */
+async function runBatch(client, items, options, sendChunk) {
+  var defaults = client.batchOptions;
+  var chunkSize = options.chunkSize > 0 ? options.chunkSize : defaults.chunkSize;
+  var concurrency = options.concurrency > 0 ? options.concurrency : defaults.concurrency;
+  var chunks = [];
+  for (var i = 0; i < items.length; i += chunkSize) {
+    chunks.push({ items: items.slice(i, i + chunkSize), result: [], error: null });
+  }
+  var next = 0;
+  var done = 0;
+  var failed = 0;
+  var stop = false;
+  var worker = async function () {
+    while (next < chunks.length && !stop) {
+      var chunk = chunks[next++];
+      try {
+        chunk.result = await sendChunk(chunk.items);
+      } catch (e) {
+        if (!options.report || e instanceof ParaAbortError) {
+          stop = true;
+          throw e;
+        }
+        chunk.error = e;
+        failed += chunk.items.length;
+      }
+      done += chunk.items.length;
+      if (isFunction(options.onProgress)) {
+        options.onProgress({ done: done, total: items.length, failed: failed });
+      }
+    }
+  };
+  var workers = [];
+  for (var j = 0; j < Math.min(concurrency, chunks.length); j++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return chunks;
+}
+
+/**
+ * Collects the results of a batch operation.
+ * @param {Array} chunks the chunks returned by runBatch()
+ * @param {Object} options request options
+ * @param {Function} fn callback
+ * @param {Array} keys the requested ids in order, if the results should be sorted by them
+ * @returns {Array|Object} a list of results with the missing ids in 'missing', or a report
+ */
+function batchResult(chunks, options, fn, keys) {
+  var report = { succeeded: [], failed: [], missing: [] };
+  var returned = {};
+  chunks.forEach(function (chunk) {
+    chunk.result.forEach(function (item) {
+      report.succeeded.push(item);
+      returned[isString(item) ? item : item.id] = item;
+    });
+    // items which failed on their own, while the rest of the chunk succeeded
+    var failed = chunk.result.failed || [];
+    failed.forEach(function (f) {
+      report.failed.push(f);
+    });
+    chunk.items.forEach(function (item) {
+      if (chunk.error) {
+        report.failed.push({ item: item, error: chunk.error });
+      } else {
+        var id = isString(item) ? item : item && item.id;
+        var isFailed = failed.some(function (f) {
+          return f.item === item;
+        });
+        if (id && !returned[id] && !isFailed) {
+          report.missing.push(id);
+        }
+      }
+    });
+  });
+  if (keys) {
+    report.succeeded = keys
+      .filter(function (key) {
+        return returned[key];
+      })
+      .map(function (key) {
+        return returned[key];
+      });
+  }
+  var res = report;
+  if (!options || !options.report) {
+    res = report.succeeded;
+    res.missing = report.missing;
+  }
+  fn(res);
+  return res;
+}
+
+async function* exportObjects(client, types, options) {
+  var columns = null;
+  if (options.format === 'csv') {
+    columns = options.columns || CSV_COLUMNS;
+    if (isArray(columns)) {
+      columns = columns.reduce(function (map, field) {
+        map[field] = field;
+        return map;
+      }, {});
+    }
+    yield toCsvRow(Object.keys(columns));
+  }
+  var iterOptions = {
+    pageSize: options.pageSize,
+    signal: options.signal,
+    timeout: options.timeout
+  };
+  for (var type of types) {
+    for await (var obj of client.iterate.list(type, iterOptions)) {
+      if (columns) {
+        yield toCsvRow(
+          Object.keys(columns).map(function (header) {
+            return getFieldValue(obj, columns[header]);
+          })
+        );
+      } else {
+        yield JSON.stringify(obj) + '\n';
+      }
+    }
+  }
+}
+
+function getFieldValue(obj, field) {
+  return String(field)
+    .split('.')
+    .reduce(function (value, key) {
+      return value === null || value === undefined ? value : value[key];
+    }, obj);
+}
+
+function toCsvRow(values) {
+  return (
+    values
+      .map(function (value) {
+        if (value === null || value === undefined) {
+          return '';
+        }
+        var str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+      })
+      .join(',') + '\r\n'
+  );
+}
+
+/**
+ * Reads objects from NDJSON text, or from an (async) iterable of text chunks or objects.
+ * Lines which can't be parsed are returned as errors with the line in 'line'.
+ * @param {String|Iterable|AsyncIterable} source the source
+ * @returns {AsyncGenerator} the objects
+ */
+async function* readRecords(source) {
+  var decoder = new TextDecoder();
+  var rest = '';
+  var parse = function (line) {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      var error = new ParaValidationError('Invalid JSON: ' + e.message, { status: 400 });
+      error.line = line;
+      return error;
+    }
+  };
+  for await (var chunk of isString(source) ? [source] : source) {
+    if (chunk && typeof chunk === 'object' && !(chunk instanceof Uint8Array)) {
+      yield chunk;
+      continue;
+    }
+    rest += isString(chunk) ? chunk : decoder.decode(chunk, { stream: true });
+    var lines = rest.split('\n');
+    rest = lines.pop();
+    for (var line of lines) {
+      if (line.trim()) {
+        yield parse(line);
+      }
+    }
+  }
+  rest += decoder.decode();
+  if (rest.trim()) {
+    yield parse(rest);
+  }
+}
+
+function getIdMapper(remapIds, ids) {
+  if (!remapIds) {
+    return null;
+  }
+  var newId = isFunction(remapIds)
+    ? remapIds
+    : function () {
+        var crypto = globalThis.crypto;
+        if (crypto && isFunction(crypto.randomUUID)) {
+          return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).substring(2);
+      };
+  return function (oldId, obj) {
+    if (!oldId) {
+      return oldId;
+    }
+    if (!ids[oldId]) {
+      ids[oldId] = newId(oldId, obj);
+    }
+    return ids[oldId];
+  };
+}
+
+function getObjectCache(cache) {
+  if (!cache) {
+    return null;
+  }
+  if (isFunction(cache.get) && isFunction(cache.put) && isFunction(cache.remove)) {
+    return cache;
+  }
+  return new ObjectCache(cache === true ? {} : cache);
+}
+
+function getCachedObject(client, type, id, options) {
+  if (!client.cache || (options && options.cache === false)) {
+    return null;
+  }
+  var cached = client.cache.get(type, id);
+  return cached ? toParaObject(client, cached) : null;
+}
+
+/**
+ * Creates an object of the class registered for its type.
+ * @param {ParaClient} client the client
+ * @param {Object} fields the fields of the object
+ * @returns {ParaObject} an object
+ */
+function toParaObject(client, fields) {
+  var Cls = (fields && client.typeRegistry.get(fields.type)) || ParaObject;
+  return new Cls().setFields(fields);
+}
+
+/**
+ * Returns a function which stores one or more objects in the client's cache.
+ * @param {ParaClient} client the client
+ * @returns {Function} a function which returns its argument
+ */
+function cacheObjects(client) {
+  return function (objects) {
+    if (client.cache && objects) {
+      (isArray(objects) ? objects : [objects]).forEach(function (obj) {
+        client.cache.put(obj);
+      });
+    }
+    return objects;
+  };
+}
+
+function uncacheObjects(client, ids) {
+  if (client.cache) {
+    ids.forEach(function (id) {
+      client.cache.remove(null, id);
+    });
+  }
+}
+
+function usesOptimisticLocking(client, options) {
+  if (options && isBoolean(options.optimisticLocking)) {
+    return options.optimisticLocking;
+  }
+  return client.optimisticLocking;
+}
+
+function getUpdateBody(obj, locking) {
+  var changes = obj.getChanges();
+  // Para only checks the version of objects which have one
+  if (locking && obj.getVersion()) {
+    changes.version = obj.getVersion();
+  }
+  return changes;
+}
+
+/**
+ * Adds the local object and the current copy from the server to a conflict error.
+ * @param {ParaClient} client the client
+ * @param {ParaConflictError} error the error
+ * @param {ParaObject} obj the object which failed to update
+ * @param {Object} options request options
+ * @returns {Promise} the error
+ */
+function addConflictCopies(client, error, obj, options) {
+  uncacheObjects(client, [obj.getId()]);
+  var readOptions = { signal: options.signal, timeout: options.timeout, cache: false };
+  return client.read(obj.getType(), obj.getId(), readOptions).then(function (server) {
+    error.local = obj;
+    error.server = server;
+    return error;
+  });
+}
+
+/**
+ * Creates the conflict errors for objects which were skipped by a batch update.
+ * @param {ParaClient} client the client
+ * @param {Array} objects the objects which failed to update
+ * @param {Object} options request options
+ * @returns {Promise} a list of { item, error } pairs
+ */
+function getBatchConflicts(client, objects, options) {
+  var ids = objects.map(function (obj) {
+    return obj.getId();
+  });
+  uncacheObjects(client, ids);
+  var readOptions = { signal: options.signal, timeout: options.timeout, cache: false };
+  return client.readAll(ids, readOptions).then(function (copies) {
+    return objects.map(function (obj) {
+      var server = copies.find(function (copy) {
+        return copy.getId() === obj.getId();
+      });
+      var message = "Object '" + obj.getId() + "' was changed on the server.";
+      var details = { method: 'PATCH', path: client.getFullPath('_batch'), local: obj };
+      details.server = server || null;
+      return { item: obj, error: new ParaConflictError(message, details) };
+    });
+  });
+}
+
+// compares constraint payloads, ignoring their messages
+function samePayload(a, b) {
+  var keys = Object.keys(a)
+    .concat(Object.keys(b))
+    .filter(function (key) {
+      return key !== 'message';
+    });
+  return keys.every(function (key) {
+    return JSON.stringify(a[key]) === JSON.stringify(b[key]);
+  });
+}
+
+function validatesBeforeSave(client, options) {
+  if (options && isBoolean(options.validate)) {
+    return options.validate;
+  }
+  return !!client.validationOptions.beforeSave;
+}
+
+/**
+ * Returns the validation constraints of a type from the client's cache, or fetches them.
+ * @param {ParaClient} client the client
+ * @param {String} type the type
+ * @param {Object} options request options
+ * @returns {Promise} a map of field names to maps of constraint names to payloads
+ */
+async function getConstraints(client, type, options) {
+  var entry = client.constraints.get(type);
+  if (entry && entry.expires > Date.now() && options.cache !== false) {
+    return entry.constraints;
+  }
+  var requestOptions = { signal: options.signal, timeout: options.timeout };
+  var res = await client.validationConstraints(type, requestOptions);
+  var constraints = (res && res[type]) || {};
+  var ttl = client.validationOptions.ttl;
+  client.constraints.set(type, { constraints: constraints, expires: Date.now() + ttl });
+  return constraints;
+}
+
+/**
+ * Rejects with a ParaValidationError if an object is invalid.
+ * @param {ParaClient} client the client
+ * @param {ParaObject} obj the object
+ * @param {Array} fields the fields to validate, null for all fields
+ * @param {Function} fn callback, called with the error
+ * @param {Object} options request options
+ * @returns {Promise} resolves if the object is valid
+ */
+async function checkValid(client, obj, fields, fn, options) {
+  var validateOptions = { signal: options.signal, timeout: options.timeout, fields: fields };
+  var errors = await client.validate(obj, validateOptions);
+  var invalid = Object.keys(errors);
+  if (invalid.length) {
+    var error = new ParaValidationError('Invalid fields: ' + invalid.join(', ') + '.', {
+      path: client.getFullPath(obj.getObjectURI()),
+      errors: errors
+    });
+    fn(null, error);
+    throw error;
+  }
+}
+
+function getTokenStore(store, accessKey) {
+  if (!store) {
+    return null;
+  }
+  if (store === 'memory') {
+    return new TokenStore();
+  }
+  if (store === 'localStorage' || store === 'sessionStorage') {
+    return new WebStorageTokenStore(globalThis[store], 'para-jwt:' + accessKey);
+  }
+  assert(
+    isFunction(store.get) && isFunction(store.set) && isFunction(store.clear),
+    'Token store must have get(), set() and clear() methods.'
+  );
+  return store;
+}
+
+/**
+ * Loads the token from the client's token store, unless a token was set in the meantime.
+ * Expired tokens are removed from the store.
+ * @param {ParaClient} client the client
+ * @returns {Promise} resolved when the token is loaded
+ */
+function loadToken(client) {
+  var store = client.tokenStore;
+  if (!store) {
+    return resolve();
+  }
+  var apply = function (data) {
+    if (!data || !data.token || client.tokenKey !== null) {
+      return;
+    }
+    if (data.expires && data.expires <= Date.now()) {
+      return saveToken(client);
+    }
+    client.tokenKey = data.token;
+    client.tokenKeyExpires = data.expires || null;
+    client.tokenKeyNextRefresh = data.refresh || null;
+    scheduleRefresh(client);
+  };
+  var failed = function (e) {
+    err('Failed to load the access token: ' + (e && e.message));
+  };
+  try {
+    var data = store.get();
+    // synchronous stores are applied right away, so the token is available immediately
+    return data && isFunction(data.then) ? data.then(apply, failed) : resolve(apply(data));
+  } catch (e) {
+    failed(e);
+    return resolve();
+  }
+}
+
+/**
+ * Saves the client's token in its token store, or clears the store if there is no token.
+ * @param {ParaClient} client the client
+ * @returns {Promise} resolved when the token is saved
+ */
+function saveToken(client) {
+  var store = client.tokenStore;
+  if (!store) {
+    return resolve();
+  }
+  var data = null;
+  if (client.tokenKey) {
+    data = {
+      token: client.tokenKey,
+      expires: client.tokenKeyExpires,
+      refresh: client.tokenKeyNextRefresh
+    };
+  }
+  client.tokenWrites = client.tokenWrites
+    .then(function () {
+      return data ? store.set(data) : store.clear();
+    })
+    .catch(function (e) {
+      err('Failed to save the access token: ' + (e && e.message));
+    });
+  return client.tokenWrites;
+}
+
+function storeJwt(client, jwtData) {
+  client.tokenKey = jwtData['access_token'];
+  client.tokenKeyExpires = jwtData['expires'];
+  client.tokenKeyNextRefresh = jwtData['refresh'];
+  return tokenChanged(client);
+}
+
+/**
+ * Clears the client's token and emits 'signedOut' if there was one.
+ * @param {ParaClient} client the client
+ * @param {String} reason the reason for signing out, null to emit no event
+ * @returns {Promise} resolved when the token store is cleared
+ */
+function clearToken(client, reason) {
+  var signedIn = client.tokenKey !== null;
+  client.tokenKey = null;
+  client.tokenKeyExpires = null;
+  client.tokenKeyNextRefresh = null;
+  var saved = tokenChanged(client);
+  if (signedIn && reason) {
+    client.events.emit('signedOut', { reason: reason });
+  }
+  return saved;
+}
+
+function checkPasswordCredentials(email, name, password) {
+  if (!email || !password || isEmpty(email.trim())) {
+    return 'missingCredentials';
+  }
+  if (!Constraint.email().isValid(email.trim())) {
+    return 'invalidEmail';
+  }
+  // the name is the middle part of the token, so it can't contain the separator
+  if (name !== null && (isEmpty(name.trim()) || name.indexOf(SEPARATOR) >= 0)) {
+    return 'invalidName';
+  }
+  return null;
+}
+
+/**
+ * Signs in with an identity provider, rejecting with the reason of a failure.
+ * @param {ParaClient} client the client
+ * @param {String} provider the identity provider
+ * @param {String} token the provider token
+ * @param {String} problem the reason why the credentials are invalid, null if they look valid
+ * @param {Function} fn callback
+ * @param {Object} options request options
+ * @returns {Promise} a User
+ */
+async function signInWith(client, provider, token, problem, fn, options) {
+  var failure = null;
+  var user = null;
+  var path = client.getFullPath(JWT_PATH);
+  if (!problem) {
+    var remember = isBoolean(options.rememberJWT) ? options.rememberJWT : true;
+    // failures are reported with a reason below, so signIn() shouldn't throw them
+    var requestOptions = {
+      signal: options.signal,
+      timeout: options.timeout,
+      throwOnClientError: false
+    };
+    user = await client
+      .signIn(
+        provider,
+        token,
+        remember,
+        function (res, e) {
+          failure = e || null;
+        },
+        requestOptions
+      )
+      .catch(function (e) {
+        fn(null, e);
+        throw e;
+      });
+  }
+  if (user) {
+    fn(user);
+    return user;
+  }
+  var details = Object.assign({ method: 'POST', path: path }, failure, {
+    reason: problem || 'invalidCredentials',
+    cause: failure || undefined
+  });
+  var message = failure ? failure.message : 'Failed to sign in with ' + provider + '.';
+  var error = new ParaAuthError(message, details);
+  fn(null, error);
+  throw error;
+}
+
+function tokenChanged(client) {
+  scheduleRefresh(client);
+  return saveToken(client);
+}
+
+/**
+ * Starts a timer which refreshes the token 'autoRefresh.ahead' ms before its refresh time.
+ * The timer doesn't keep Node.js processes running.
+ * @param {ParaClient} client the client
+ */
+function scheduleRefresh(client) {
+  clearTimeout(client.refreshTimer);
+  client.refreshTimer = null;
+  if (!client.autoRefresh || !client.tokenKey || !client.tokenKeyNextRefresh) {
+    return;
+  }
+  var delay = client.tokenKeyNextRefresh - client.autoRefresh.ahead - Date.now();
+  // setTimeout() fires immediately for delays which don't fit in 32 bits
+  delay = Math.min(Math.max(delay, 0), MAX_TIMER_DELAY);
+  client.refreshTimer = setTimeout(function () {
+    client.refreshTimer = null;
+    if (client.tokenKeyNextRefresh - client.autoRefresh.ahead > Date.now()) {
+      // woke up early because the delay was capped
+      return scheduleRefresh(client);
+    }
+    client.refreshToken({ force: true, throwOnClientError: false }).catch(function (e) {
+      err('Failed to refresh the access token: ' + (e && e.message));
+    });
+  }, delay);
+  if (isFunction(client.refreshTimer.unref)) {
+    client.refreshTimer.unref();
+  }
+}
+
+// JWT claims are in seconds, the client keeps times in milliseconds
+function toMillis(time) {
+  return time && time < 10000000000 ? time * 1000 : time;
+}
+
+function throwsOnNotFound(client, options) {
+  if (options && isBoolean(options.throwOnNotFound)) {
+    return options.throwOnNotFound;
+  }
+  return client.throwOnNotFound;
+}
+
+function throwsOnClientError(client, options) {
+  if (options && isBoolean(options.throwOnClientError)) {
+    return options.throwOnClientError;
+  }
+  return client.throwOnClientError;
+}
+
+function checkCallback(fn) {
+  return isFunction(fn) ? fn : noop;
+}
+
+function checkOptions(fn, options) {
+  // request options can also be passed in place of the callback
+  if (fn && !isFunction(fn) && typeof fn === 'object') {
+    return fn;
+  }
+  return options || {};
+}
+
+function abortable(promise, signal, httpMethod, reqPath, onAbort) {
+  if (!signal) {
+    return promise;
+  }
+  var abortError = function () {
+    var error = new ParaAbortError('Request aborted: ' + httpMethod + ' ' + reqPath, {
+      method: httpMethod,
+      path: reqPath
+    });
+    error.reason = signal.reason;
+    return error;
+  };
+  if (signal.aborted) {
+    if (onAbort) {
+      onAbort();
+    }
+    return Promise.reject(abortError());
+  }
+  return new Promise(function (resolveFn, rejectFn) {
+    var listener = function () {
+      if (onAbort) {
+        onAbort();
+      }
+      rejectFn(abortError());
+    };
+    signal.addEventListener('abort', listener, { once: true });
+    Promise.resolve(promise).then(
+      function (result) {
+        signal.removeEventListener('abort', listener);
+        resolveFn(result);
+      },
+      function (e) {
+        signal.removeEventListener('abort', listener);
+        rejectFn(e);
+      }
+    );
+  });
+}
+
 function checkParaObject(obj) {
   if (obj) {
     assert(obj instanceof ParaObject, 'Parameter must be a ParaObject.');
@@ -1961,4 +3969,41 @@ function checkConstraint(obj) {
   }
 }
 
-export { ParaClient, ParaObject, Pager, Constraint };
+export {
+  ParaClient,
+  ParaObject,
+  User,
+  App,
+  Tag,
+  Address,
+  Vote,
+  Translation,
+  Sysprop,
+  Webhook,
+  Pager,
+  Query,
+  Constraint,
+  constraintsToJsonSchema,
+  jsonSchemaToConstraints,
+  OAUTH_PROVIDERS,
+  RetryPolicy,
+  RateLimiter,
+  ObjectCache,
+  ConditionalRequests,
+  Migrations,
+  EventEmitter,
+  TokenStore,
+  WebStorageTokenStore,
+  FileTokenStore,
+  FetchTransport,
+  SuperagentTransport,
+  ParaError,
+  ParaNotFoundError,
+  ParaValidationError,
+  ParaAuthError,
+  ParaConflictError,
+  ParaRateLimitError,
+  ParaServerError,
+  ParaNetworkError,
+  ParaAbortError
+};
@@ -0,0 +1,2 @@
+// superagent is not bundled for browsers, the browser build uses FetchTransport instead
+export default null;
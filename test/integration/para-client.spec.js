@@ -219,9 +219,12 @@ describeIntegration('ParaClient tests', function () {
       })
       .then(function (res) {
         pc.read(tr.getType(), tr.getId()).then(
-          function (res) { },
-          function (err) {
+          function (res) {
+            assert(!res);
             done();
+          },
+          function (err) {
+            done(err);
           }
         );
       })
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import ParaClient, { Pager } from '../../lib/index.js';
+
+describe('Request cancellation', function () {
+  let server;
+  let endpoint;
+  let delay;
+  let requests;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      requests.push(req.url);
+      setTimeout(function () {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ items: [{ id: '1', type: 'cat' }], totalHits: 1 }));
+      }, delay);
+    });
+    server.listen(0, '127.0.0.1', function () {
+      endpoint = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    delay = 0;
+    requests = [];
+  });
+
+  it('aborts in-flight requests', async function () {
+    delay = 500;
+    const pc = new ParaClient('app:test', 'secret', { endpoint: endpoint });
+    const controller = new AbortController();
+    const result = pc.findQuery('cat', 'foo', new Pager(), null, { signal: controller.signal });
+    setTimeout(function () {
+      controller.abort();
+    }, 50);
+    await assert.rejects(result, function (e) {
+      assert.equal(e.name, 'AbortError');
+      assert.equal(e.aborted, true);
+      return true;
+    });
+  });
+
+  it('does not send requests when the signal is already aborted', async function () {
+    const pc = new ParaClient('app:test', 'secret', { endpoint: endpoint });
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(pc.read('cat', '1', { signal: controller.signal }), {
+      name: 'AbortError'
+    });
+    assert.equal(requests.length, 0);
+  });
+
+  it('accepts request options in place of the callback', async function () {
+    const pc = new ParaClient('app:test', 'secret', { endpoint: endpoint });
+    const controller = new AbortController();
+    const res = await pc.findQuery('cat', 'foo', null, { signal: controller.signal });
+    assert.equal(res.length, 1);
+    assert.equal(res[0].getId(), '1');
+  });
+
+  it('applies per-call timeouts', async function () {
+    delay = 500;
+    const pc = new ParaClient('app:test', 'secret', { endpoint: endpoint });
+    await assert.rejects(pc.read('cat', '1', null, { timeout: 50 }), function (e) {
+      assert.ok(e.timeout);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { EventEmitter, ParaAuthError } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+describe('Authentication events', function () {
+  let events;
+  let handler;
+  let pc;
+
+  function session(token) {
+    return jsonResponse(200, {
+      user: { id: 'u1', type: 'user', name: 'Ann' },
+      jwt: { access_token: token, expires: Date.now() + 60000, refresh: Date.now() - 1000 }
+    });
+  }
+
+  beforeEach(function () {
+    events = [];
+    handler = function (request) {
+      return request.method === 'DELETE' ? jsonResponse(200, {}) : session('jwt1');
+    };
+    pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(function (request) {
+        return handler(request);
+      })
+    });
+    ['signedIn', 'tokenRefreshed', 'signedOut', 'tokenExpired', 'authError'].forEach(
+      function (name) {
+        pc.on(name, function (data) {
+          events.push([name, data]);
+        });
+      }
+    );
+  });
+
+  it('reports the session lifecycle', async function () {
+    await pc.signIn('password', 'a@b.c::secret');
+    assert.equal(events[0][0], 'signedIn');
+    assert.equal(events[0][1].user.getName(), 'Ann');
+    assert.equal(events[0][1].token, 'jwt1');
+    handler = function () {
+      return session('jwt2');
+    };
+    await pc.refreshToken();
+    assert.equal(events[1][0], 'tokenRefreshed');
+    assert.equal(events[1][1].token, 'jwt2');
+    await pc.signOut();
+    await pc.signOut();
+    assert.deepEqual(events[2], ['signedOut', { reason: 'signedOut' }]);
+    assert.equal(events.length, 3);
+  });
+
+  it('reports tokens set by hand and revoked tokens', async function () {
+    pc.setAccessToken('abc');
+    pc.setAccessToken('def');
+    assert.deepEqual(
+      events.map(function (e) {
+        return e[0];
+      }),
+      ['signedIn', 'tokenRefreshed']
+    );
+    assert.equal(await pc.revokeAllTokens(), true);
+    assert.deepEqual(events[2], ['signedOut', { reason: 'revoked' }]);
+    assert.equal(pc.getAccessToken(), null);
+  });
+
+  it('reports expired tokens', async function () {
+    pc.tokenKey = 'old';
+    pc.tokenKeyExpires = Date.now() - 1000;
+    assert.equal(await pc.refreshToken(), false);
+    assert.equal(await pc.refreshToken(), false);
+    assert.equal(events.length, 1);
+    assert.equal(events[0][0], 'tokenExpired');
+    assert.equal(events[0][1].token, 'old');
+    assert.equal(pc.getAccessToken(), 'old');
+  });
+
+  it('never signs requests with the app secret after the token expires', async function () {
+    const sent = [];
+    handler = function (request) {
+      sent.push(request.headers['Authorization']);
+      return jsonResponse(200, { version: '1.0' });
+    };
+    pc.tokenKey = 'abc';
+    pc.tokenKeyExpires = Date.now() + 60000;
+    await pc.getServerVersion();
+    pc.tokenKeyExpires = Date.now() - 1000;
+    await assert.rejects(pc.getServerVersion(), function (e) {
+      return e instanceof ParaAuthError && e.reason === 'tokenExpired';
+    });
+    assert.deepEqual(sent, ['Bearer abc']);
+    assert.equal(events[0][0], 'tokenExpired');
+  });
+
+  it('signs in again after the token expires', async function () {
+    const sent = [];
+    handler = function (request) {
+      sent.push(request.method + ' ' + request.headers['Authorization']);
+      return request.method === 'POST' ? session('jwt2') : jsonResponse(200, { id: 'u1' });
+    };
+    pc.tokenKey = 'old';
+    pc.tokenKeyExpires = Date.now() - 1000;
+    await pc.me('mine');
+    const user = await pc.signInWithPassword('ann@example.com', 'secret');
+    assert.equal(user.getName(), 'Ann');
+    assert.equal(pc.getAccessToken(), 'jwt2');
+    await pc.me();
+    assert.equal(sent[0], 'GET Bearer mine');
+    assert.match(sent[1], /^POST AWS4-HMAC-SHA256 /);
+    assert.equal(sent[2], 'GET Bearer jwt2');
+  });
+
+  it('reports authentication errors', async function () {
+    handler = function () {
+      return jsonResponse(401, { code: 401, message: 'Bad credentials' });
+    };
+    assert.equal(await pc.signIn('password', 'a@b.c::wrong'), null);
+    assert.equal(events[0][0], 'authError');
+    assert.ok(events[0][1].error instanceof ParaAuthError);
+    pc.tokenKey = 'abc';
+    pc.tokenKeyExpires = Date.now() + 60000;
+    await assert.rejects(pc.getServerVersion(), ParaAuthError);
+    assert.deepEqual(
+      events.map(function (e) {
+        return e[0];
+      }),
+      ['authError', 'authError']
+    );
+    assert.equal(events[1][1].error.path, '/jwt_auth');
+  });
+
+  it('reports requests rejected after refreshing the token', async function () {
+    handler = function (request) {
+      if (request.url.endsWith('/jwt_auth')) {
+        return session('jwt2');
+      }
+      return jsonResponse(401, { code: 401, message: 'Unauthorized' });
+    };
+    pc.tokenKey = 'abc';
+    pc.tokenKeyExpires = Date.now() + 60000;
+    await assert.rejects(pc.getServerVersion(), ParaAuthError);
+    const authErrors = events.filter(function (e) {
+      return e[0] === 'authError';
+    });
+    assert.equal(events[0][0], 'tokenRefreshed');
+    assert.equal(authErrors.length, 1);
+    assert.equal(authErrors[0][1].error.status, 401);
+  });
+
+  it('removes listeners', function () {
+    const emitter = new EventEmitter();
+    const calls = [];
+    const off = emitter.on('a', function (x) {
+      calls.push(x);
+    });
+    emitter.once('a', function (x) {
+      calls.push('once ' + x);
+    });
+    emitter.emit('a', 1);
+    off();
+    assert.equal(emitter.emit('a', 2), false);
+    assert.deepEqual(calls, [1, 'once 1']);
+  });
+});
@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaObject, ParaServerError } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+function objects(count) {
+  const list = [];
+  for (let i = 1; i <= count; i++) {
+    list.push(new ParaObject(String(i), 'cat'));
+  }
+  return list;
+}
+
+describe('Batch operations', function () {
+  let sent;
+  let handler;
+  let pc;
+
+  beforeEach(function () {
+    sent = [];
+    // echoes the objects in each batch by default
+    handler = function (request) {
+      if (request.method === 'GET') {
+        return jsonResponse(
+          200,
+          request.query.ids.map(function (id) {
+            return { id: id, type: 'cat' };
+          })
+        );
+      }
+      return jsonResponse(200, request.method === 'DELETE' ? {} : JSON.parse(request.body));
+    };
+    pc = new ParaClient('app:test', 'secret', {
+      batch: { chunkSize: 2 },
+      transport: stubTransport(sent, function (request) {
+        return handler(request);
+      })
+    });
+  });
+
+  it('splits large batches into chunks', async function () {
+    const res = await pc.createAll(objects(5));
+    assert.equal(sent.length, 3);
+    assert.deepEqual(
+      sent.map(function (req) {
+        return JSON.parse(req.body).length;
+      }),
+      [2, 2, 1]
+    );
+    assert.equal(res.length, 5);
+    assert.ok(res[0] instanceof ParaObject);
+    assert.deepEqual(res.missing, []);
+  });
+
+  it('uses the chunk size given per call', async function () {
+    await pc.updateAll(objects(5), { chunkSize: 5 });
+    assert.equal(sent.length, 1);
+    await pc.deleteAll(['1', '2', '3'], { chunkSize: 1 });
+    assert.equal(sent.length, 4);
+    assert.deepEqual(sent[3].query, { ids: ['3'] });
+  });
+
+  it('limits the number of parallel requests', async function () {
+    let active = 0;
+    let maxActive = 0;
+    pc.transport = {
+      send: async function (request) {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(function (done) {
+          setTimeout(done, 10);
+        });
+        active--;
+        return handler(request);
+      }
+    };
+    const res = await pc.readAll(['1', '2', '3', '4', '5', '6', '7'], {
+      chunkSize: 1,
+      concurrency: 3
+    });
+    assert.equal(maxActive, 3);
+    assert.deepEqual(
+      res.map(function (obj) {
+        return obj.getId();
+      }),
+      ['1', '2', '3', '4', '5', '6', '7']
+    );
+  });
+
+  it('reports progress', async function () {
+    const progress = [];
+    await pc.createAll(objects(3), {
+      onProgress: function (p) {
+        progress.push(p);
+      }
+    });
+    assert.deepEqual(progress, [
+      { done: 2, total: 3, failed: 0 },
+      { done: 3, total: 3, failed: 0 }
+    ]);
+  });
+
+  it('reports failed and missing items', async function () {
+    handler = function (request) {
+      const batch = JSON.parse(request.body);
+      if (batch[0].id === '3') {
+        return jsonResponse(500, { code: 500, message: 'oops' });
+      }
+      // drop the second object, like Para does with invalid objects
+      return jsonResponse(200, batch.slice(0, 1));
+    };
+    const report = await pc.createAll(objects(5), { report: true });
+    assert.deepEqual(
+      report.succeeded.map(function (obj) {
+        return obj.getId();
+      }),
+      ['1', '5']
+    );
+    assert.deepEqual(report.missing, ['2']);
+    assert.deepEqual(
+      report.failed.map(function (f) {
+        return f.item.getId();
+      }),
+      ['3', '4']
+    );
+    assert.ok(report.failed[0].error instanceof ParaServerError);
+  });
+
+  it('stops at the first failure without a report', async function () {
+    handler = function () {
+      return jsonResponse(500, { code: 500, message: 'oops' });
+    };
+    await assert.rejects(pc.updateAll(objects(5)), ParaServerError);
+    assert.equal(sent.length, 1);
+  });
+
+  it('reports ids missing from readAll', async function () {
+    handler = function (request) {
+      return jsonResponse(
+        200,
+        request.query.ids
+          .filter(function (id) {
+            return id !== '2';
+          })
+          .map(function (id) {
+            return { id: id, type: 'cat' };
+          })
+      );
+    };
+    const report = await pc.readAll(['1', '2', '3'], { report: true });
+    assert.equal(report.succeeded.length, 2);
+    assert.deepEqual(report.missing, ['2']);
+    assert.deepEqual(report.failed, []);
+  });
+});
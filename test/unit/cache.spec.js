@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaObject, ObjectCache } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+describe('ObjectCache', function () {
+  it('stores copies of objects by type and id', function () {
+    const cache = new ObjectCache();
+    const cat = new ParaObject('1', 'cat');
+    cat.name = 'Tom';
+    cache.put(cat);
+    const hit = cache.get('cat', '1');
+    assert.ok(hit instanceof ParaObject);
+    assert.equal(hit.name, 'Tom');
+    hit.name = 'Garfield';
+    assert.equal(cache.get('cat', '1').name, 'Tom');
+    assert.equal(cache.get(null, '1').name, 'Tom');
+    assert.equal(cache.get('dog', '1'), null);
+  });
+
+  it('skips objects which are not cacheable', function () {
+    const cache = new ObjectCache();
+    const cat = new ParaObject('1', 'cat');
+    cache.put(cat);
+    cat.setCached(false);
+    cache.put(cat);
+    assert.equal(cache.get('cat', '1'), null);
+  });
+
+  it('evicts the least recently used objects', function () {
+    const cache = new ObjectCache({ max: 2 });
+    cache.put(new ParaObject('1', 'cat'));
+    cache.put(new ParaObject('2', 'cat'));
+    cache.get('cat', '1');
+    cache.put(new ParaObject('3', 'cat'));
+    assert.equal(cache.size(), 2);
+    assert.equal(cache.get(null, '2'), null);
+    assert.ok(cache.get(null, '1'));
+  });
+
+  it('expires objects after the TTL', async function () {
+    const cache = new ObjectCache({ ttl: 20 });
+    cache.put(new ParaObject('1', 'cat'));
+    await new Promise(function (done) {
+      setTimeout(done, 40);
+    });
+    assert.equal(cache.get('cat', '1'), null);
+  });
+});
+
+describe('ParaClient cache', function () {
+  let sent;
+  let responses;
+  let pc;
+
+  beforeEach(function () {
+    sent = [];
+    responses = [];
+    pc = new ParaClient('app:test', 'secret', {
+      cache: { max: 100 },
+      transport: stubTransport(sent, function () {
+        return responses.shift();
+      })
+    });
+  });
+
+  it('serves repeated reads from the cache', async function () {
+    responses.push(jsonResponse(200, { id: '1', type: 'cat', name: 'Tom' }));
+    assert.equal((await pc.read('cat', '1')).name, 'Tom');
+    assert.equal((await pc.read('cat', '1')).name, 'Tom');
+    assert.equal((await pc.findById('1')).name, 'Tom');
+    assert.equal(sent.length, 1);
+    responses.push(jsonResponse(200, { id: '1', type: 'cat', name: 'Tom' }));
+    await pc.read('cat', '1', { cache: false });
+    assert.equal(sent.length, 2);
+  });
+
+  it('only fetches uncached objects in readAll()', async function () {
+    responses.push(jsonResponse(200, { id: '1', type: 'cat' }));
+    await pc.read('cat', '1');
+    responses.push(jsonResponse(200, [{ id: '2', type: 'cat' }]));
+    const res = await pc.readAll(['1', '2', '3']);
+    assert.deepEqual(sent[1].query, { ids: ['2', '3'] });
+    assert.deepEqual(
+      res.map(function (obj) {
+        return obj.getId();
+      }),
+      ['1', '2']
+    );
+    assert.deepEqual(res.missing, ['3']);
+    await pc.readAll(['1', '2']);
+    assert.equal(sent.length, 2);
+  });
+
+  it('refreshes the cache on writes and invalidates it on deletes', async function () {
+    responses.push(jsonResponse(200, { id: '1', type: 'cat', name: 'Tom' }));
+    await pc.read('cat', '1');
+    responses.push(jsonResponse(200, { id: '1', type: 'cat', name: 'Garfield' }));
+    await pc.update(new ParaObject('1', 'cat'));
+    assert.equal((await pc.read('cat', '1')).name, 'Garfield');
+    assert.equal(sent.length, 2);
+    responses.push(jsonResponse(200, {}));
+    await pc.delete(new ParaObject('1', 'cat'));
+    responses.push(jsonResponse(404, { code: 404 }));
+    assert.equal(await pc.read('cat', '1'), null);
+    assert.equal(sent.length, 4);
+  });
+
+  it('does not cache objects with cached set to false', async function () {
+    responses.push(jsonResponse(200, { id: '1', type: 'cat', cached: false }));
+    responses.push(jsonResponse(200, { id: '1', type: 'cat', cached: false }));
+    await pc.read('cat', '1');
+    await pc.read('cat', '1');
+    assert.equal(sent.length, 2);
+  });
+});
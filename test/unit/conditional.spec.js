@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import ParaClient, { Pager } from '../../lib/index.js';
+
+describe('Conditional requests', function () {
+  let server;
+  let endpoint;
+  let requests;
+  let version;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      requests.push({ method: req.method, url: req.url, headers: req.headers });
+      const etag = '"v' + version + '"';
+      if (req.method === 'GET' && req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        ETag: etag,
+        'Last-Modified': 'Tue, 01 Sep 2026 10:00:00 GMT'
+      });
+      res.end(JSON.stringify({ id: '1', type: 'cat', version: version }));
+    });
+    server.listen(0, '127.0.0.1', function () {
+      endpoint = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+    version = 1;
+  });
+
+  ['superagent', 'fetch'].forEach(function (transport) {
+    describe(transport, function () {
+      it('returns the previous response on 304', async function () {
+        const pc = new ParaClient('app:test', 'secret', {
+          endpoint: endpoint,
+          transport: transport,
+          conditionalRequests: true
+        });
+        assert.equal((await pc.read('cat', '1')).version, 1);
+        assert.equal(requests[0].headers['if-none-match'], undefined);
+        const cat = await pc.read('cat', '1');
+        assert.equal(cat.version, 1);
+        assert.equal(requests[1].headers['if-none-match'], '"v1"');
+        assert.equal(requests[1].headers['if-modified-since'], 'Tue, 01 Sep 2026 10:00:00 GMT');
+        version = 2;
+        assert.equal((await pc.read('cat', '1')).version, 2);
+        assert.equal(requests.length, 3);
+      });
+    });
+  });
+
+  it('tracks each path and query separately', async function () {
+    const pc = new ParaClient('app:test', 'secret', {
+      endpoint: endpoint,
+      conditionalRequests: { max: 10 }
+    });
+    await pc.list('cat', new Pager(1));
+    await pc.list('cat', new Pager(2));
+    await pc.list('cat', new Pager(1));
+    assert.equal(requests[1].headers['if-none-match'], undefined);
+    assert.equal(requests[2].headers['if-none-match'], '"v1"');
+  });
+
+  it('is disabled by default', async function () {
+    const pc = new ParaClient('app:test', 'secret', { endpoint: endpoint });
+    await pc.read('cat', '1');
+    await pc.read('cat', '1');
+    assert.equal(requests[1].headers['if-none-match'], undefined);
+  });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaObject, ParaConflictError } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+describe('Optimistic locking', function () {
+  let sent;
+  let server;
+  let pc;
+
+  function load(id) {
+    return new ParaObject().setFields(Object.assign({}, server[id]));
+  }
+
+  beforeEach(function () {
+    sent = [];
+    server = {
+      1: { id: '1', type: 'cat', name: 'Tom', votes: 0, version: 1 },
+      2: { id: '2', type: 'cat', name: 'Rex', votes: 0, version: 1 }
+    };
+    // a tiny versioned store, like Para with versioning enabled
+    function save(changes) {
+      const current = server[changes.id];
+      if (changes.version && changes.version !== current.version) {
+        return null;
+      }
+      server[changes.id] = Object.assign({}, current, changes, { version: current.version + 1 });
+      return server[changes.id];
+    }
+    pc = new ParaClient('app:test', 'secret', {
+      optimisticLocking: true,
+      transport: stubTransport(sent, function (request) {
+        const path = request.url.substring(pc.endpoint.length + 4);
+        if (path === '_batch' && request.method === 'PATCH') {
+          const saved = JSON.parse(request.body).map(save);
+          return jsonResponse(200, saved.filter(Boolean));
+        }
+        if (path === '_batch') {
+          return jsonResponse(
+            200,
+            request.query.ids.map(function (id) {
+              return server[id];
+            })
+          );
+        }
+        const id = path.split('/')[1];
+        if (request.method === 'PATCH') {
+          const saved = save(Object.assign(JSON.parse(request.body), { id: id }));
+          return saved
+            ? jsonResponse(200, saved)
+            : jsonResponse(412, { code: 412, message: 'Conflict' });
+        }
+        return jsonResponse(200, server[id]);
+      })
+    });
+  });
+
+  it('sends the version and keeps it up to date', async function () {
+    const obj = load('1');
+    obj.name = 'Garfield';
+    await pc.update(obj);
+    assert.deepEqual(JSON.parse(sent[0].body), { name: 'Garfield', version: 1 });
+    assert.equal(obj.getVersion(), 2);
+    obj.votes = 1;
+    await pc.update(obj);
+    assert.equal(server[1].votes, 1);
+  });
+
+  it('fails with both copies on a conflict', async function () {
+    const obj = load('1');
+    server[1] = Object.assign({}, server[1], { name: 'Other', version: 2 });
+    obj.name = 'Garfield';
+    const error = await pc.update(obj).catch(function (e) {
+      return e;
+    });
+    assert.ok(error instanceof ParaConflictError);
+    assert.equal(error.status, 412);
+    assert.equal(error.local, obj);
+    assert.equal(error.server.name, 'Other');
+    assert.equal(error.server.getVersion(), 2);
+  });
+
+  it('is opt-in', async function () {
+    const obj = load('1');
+    server[1].version = 5;
+    obj.name = 'Garfield';
+    await pc.update(obj, { optimisticLocking: false });
+    assert.equal(JSON.parse(sent[0].body).version, undefined);
+    assert.equal(server[1].name, 'Garfield');
+  });
+
+  it('reports conflicts in batch updates', async function () {
+    const objects = [load('1'), load('2')];
+    server[2] = Object.assign({}, server[2], { version: 3 });
+    objects[0].name = 'A';
+    objects[1].name = 'B';
+    const report = await pc.updateAll(objects, { report: true });
+    assert.equal(report.succeeded.length, 1);
+    assert.deepEqual(report.missing, []);
+    assert.equal(report.failed.length, 1);
+    assert.equal(report.failed[0].item, objects[1]);
+    assert.ok(report.failed[0].error instanceof ParaConflictError);
+    assert.equal(report.failed[0].error.server.getVersion(), 3);
+    assert.equal(objects[0].isDirty(), false);
+    assert.equal(objects[1].isDirty(), true);
+    objects[1].name = 'C';
+    await assert.rejects(pc.updateAll([objects[1]]), ParaConflictError);
+  });
+
+  it('reapplies the change after a conflict', async function () {
+    const obj = load('1');
+    server[1] = Object.assign({}, server[1], { votes: 5, version: 2 });
+    let calls = 0;
+    const res = await pc.updateWithRetry(obj, function (cat) {
+      calls++;
+      cat.votes = cat.votes + 1;
+    });
+    assert.equal(calls, 2);
+    assert.equal(res.votes, 6);
+    assert.equal(server[1].votes, 6);
+    assert.equal(server[1].version, 3);
+  });
+
+  it('gives up after the given number of retries', async function () {
+    const obj = load('1');
+    pc.optimisticLocking = false;
+    const error = await pc
+      .updateWithRetry(
+        obj,
+        function (cat) {
+          // someone else wins every time
+          server[1] = Object.assign({}, server[1], { version: server[1].version + 1 });
+          cat.votes++;
+        },
+        { retries: 1 }
+      )
+      .catch(function (e) {
+        return e;
+      });
+    assert.ok(error instanceof ParaConflictError);
+    assert.equal(server[1].votes, 0);
+  });
+});
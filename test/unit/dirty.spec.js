@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaObject } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+describe('Change tracking', function () {
+  function loaded() {
+    return new ParaObject().setFields({
+      id: '1',
+      type: 'cat',
+      name: 'Tom',
+      tags: ['a'],
+      properties: { color: 'grey' }
+    });
+  }
+
+  it('tracks changes since the object was loaded', function () {
+    const obj = loaded();
+    assert.equal(obj.isDirty(), false);
+    assert.deepEqual(obj.getChanges(), {});
+    obj.name = 'Garfield';
+    obj.tags.push('b');
+    delete obj.properties;
+    assert.equal(obj.isDirty(), true);
+    assert.deepEqual(obj.getChanges(), { name: 'Garfield', tags: ['a', 'b'], properties: null });
+  });
+
+  it('returns all fields for new objects', function () {
+    const obj = new ParaObject('1', 'cat');
+    assert.equal(obj.isDirty(), true);
+    assert.equal(obj.getChanges().id, '1');
+    assert.equal(obj.getChanges().type, 'cat');
+  });
+
+  it('reverts changes', function () {
+    const obj = loaded();
+    obj.name = 'Garfield';
+    obj.properties.color = 'orange';
+    obj.extra = true;
+    obj.revert();
+    assert.equal(obj.name, 'Tom');
+    assert.deepEqual(obj.properties, { color: 'grey' });
+    assert.equal('extra' in obj, false);
+    assert.equal(obj.isDirty(), false);
+  });
+
+  it('sends only the changes on update', async function () {
+    const sent = [];
+    const pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, function (request) {
+        const saved = { id: '1', type: 'cat', name: 'Garfield' };
+        return jsonResponse(200, request.url.endsWith('_batch') ? [saved] : saved);
+      })
+    });
+    const obj = loaded();
+    obj.name = 'Garfield';
+    delete obj.tags;
+    await pc.update(obj);
+    assert.equal(sent[0].method, 'PATCH');
+    assert.deepEqual(JSON.parse(sent[0].body), { name: 'Garfield', tags: null });
+    assert.equal(obj.isDirty(), false);
+    obj.votes = 1;
+    await pc.updateAll([obj]);
+    assert.deepEqual(JSON.parse(sent[1].body), [{ votes: 1, id: '1', type: 'cat' }]);
+    assert.equal(obj.isDirty(), false);
+  });
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, {
+  ParaObject,
+  ParaError,
+  ParaNotFoundError,
+  ParaValidationError,
+  ParaAuthError,
+  ParaRateLimitError,
+  ParaServerError,
+  ParaNetworkError,
+  ParaAbortError
+} from '../../lib/index.js';
+import { jsonResponse } from './helpers.js';
+
+describe('Errors', function () {
+  let response;
+  let pc;
+
+  beforeEach(function () {
+    response = null;
+    pc = new ParaClient('app:test', 'secret', {
+      transport: function () {
+        return typeof response === 'function' ? response() : Promise.resolve(response);
+      }
+    });
+  });
+
+  it('maps status codes to error classes', async function () {
+    const cases = [
+      [400, ParaValidationError],
+      [401, ParaAuthError],
+      [403, ParaAuthError],
+      [404, ParaNotFoundError],
+      [409, ParaError],
+      [429, ParaRateLimitError],
+      [500, ParaServerError],
+      [503, ParaServerError]
+    ];
+    for (const [status, type] of cases) {
+      const error = ParaError.fromResponse(jsonResponse(status, {}), 'GET', 'test');
+      assert.ok(error instanceof type, status + ' should be a ' + type.name);
+      assert.ok(error instanceof ParaError);
+      assert.equal(error.status, status);
+    }
+  });
+
+  it('carries the details of the failed request', async function () {
+    response = jsonResponse(
+      400,
+      { code: 400, message: 'Validation failed.' },
+      { 'x-request-id': 'req-1' }
+    );
+    await assert.rejects(pc.create(new ParaObject('1', 'cat')), function (e) {
+      assert.ok(e instanceof ParaValidationError);
+      assert.equal(e.name, 'ParaValidationError');
+      assert.equal(e.status, 400);
+      assert.equal(e.code, 400);
+      assert.equal(e.message, 'Validation failed.');
+      assert.equal(e.method, 'PUT');
+      assert.equal(e.path, '/v1/cat/1');
+      assert.equal(e.requestId, 'req-1');
+      assert.equal(e.response.status, 400);
+      return true;
+    });
+  });
+
+  it('passes the error to callbacks', async function () {
+    response = jsonResponse(500, { code: 500, message: 'Oops' });
+    let args;
+    await assert.rejects(
+      pc.read('cat', '1', function () {
+        args = arguments;
+      }),
+      ParaServerError
+    );
+    assert.equal(args[0], null);
+    assert.ok(args[1] instanceof ParaServerError);
+  });
+
+  it('reads Retry-After for rate limit errors', function () {
+    const error = ParaError.fromResponse(jsonResponse(429, {}, { 'Retry-After': '2' }));
+    assert.ok(error instanceof ParaRateLimitError);
+    assert.equal(error.retryAfter, 2000);
+  });
+
+  it('wraps transport failures', async function () {
+    response = function () {
+      const e = new Error('socket hang up');
+      e.code = 'ECONNRESET';
+      return Promise.reject(e);
+    };
+    await assert.rejects(pc.getServerVersion(), function (e) {
+      assert.ok(e instanceof ParaNetworkError);
+      assert.equal(e.code, 'ECONNRESET');
+      assert.equal(e.status, 0);
+      assert.equal(e.cause.message, 'socket hang up');
+      return true;
+    });
+  });
+
+  it('rejects aborted requests with ParaAbortError', async function () {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(pc.read('cat', '1', { signal: controller.signal }), ParaAbortError);
+  });
+
+  it('resolves signIn and isAllowedTo on client errors', async function () {
+    response = jsonResponse(400, { code: 400, message: 'Invalid token' });
+    assert.equal(await pc.signIn('facebook', 'bad_token'), null);
+    assert.equal(await pc.isAllowedTo('u1', 'cats', 'GET'), false);
+    assert.equal(await pc.revokeAllTokens(), false);
+  });
+
+  it('rejects signIn and isAllowedTo on client errors if asked to', async function () {
+    response = jsonResponse(401, { code: 401, message: 'Invalid token' });
+    const options = { throwOnClientError: true };
+    await assert.rejects(pc.signIn('facebook', 'bad_token', true, null, options), ParaAuthError);
+    await assert.rejects(pc.isAllowedTo('u1', 'cats', 'GET', options), ParaAuthError);
+    pc.tokenKey = 'abc';
+    pc.tokenKeyExpires = Date.now() + 60000;
+    let failure = null;
+    const refresh = pc.refreshToken(
+      function (res, e) {
+        failure = e;
+      },
+      { force: true, throwOnClientError: true }
+    );
+    await assert.rejects(refresh, ParaAuthError);
+    assert.ok(failure instanceof ParaAuthError);
+    const client = new ParaClient('app:test', 'secret', {
+      throwOnClientError: true,
+      transport: function () {
+        return Promise.resolve(response);
+      }
+    });
+    await assert.rejects(client.signIn('facebook', 'bad_token'), ParaAuthError);
+    assert.equal(
+      await client.isAllowedTo('u1', 'cats', 'GET', { throwOnClientError: false }),
+      false
+    );
+  });
+
+  it('rejects signIn and isAllowedTo on server errors', async function () {
+    response = jsonResponse(503, { code: 503, message: 'Unavailable' });
+    await assert.rejects(pc.signIn('facebook', 'token'), ParaServerError);
+    await assert.rejects(pc.isAllowedTo('u1', 'cats', 'GET'), ParaServerError);
+  });
+});
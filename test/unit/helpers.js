@@ -0,0 +1,44 @@
+/**
+ * Fixtures shared by the unit tests.
+ */
+
+/**
+ * @param {Number} status the HTTP status code
+ * @param {Object} body the JSON body
+ * @param {Object} headers the response headers (optional)
+ * @returns {Object} a transport response
+ */
+export function jsonResponse(status, body, headers) {
+  return { status: status, headers: headers || {}, body: body, text: JSON.stringify(body) };
+}
+
+/**
+ * Creates a transport which answers requests without a server.
+ * @param {Array} sent collects the requests (optional)
+ * @param {Function} handler returns the response, or a promise for it, for a request
+ * @returns {Function} a transport
+ */
+export function stubTransport(sent, handler) {
+  if (typeof sent === 'function') {
+    handler = sent;
+    sent = null;
+  }
+  return function (request) {
+    if (sent) {
+      sent.push(request);
+    }
+    return Promise.resolve(handler(request));
+  };
+}
+
+/**
+ * @param {Object} claims the claims
+ * @returns {String} an unsigned JWT with the claims
+ */
+export function jwt(claims) {
+  return ['{"alg":"HS256"}', JSON.stringify(claims), 'sig']
+    .map(function (part) {
+      return Buffer.from(part).toString('base64url');
+    })
+    .join('.');
+}
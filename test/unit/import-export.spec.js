@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+
+import ParaClient from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+async function collect(iterator) {
+  let text = '';
+  for await (const line of iterator) {
+    text += line;
+  }
+  return text;
+}
+
+describe('Import and export', function () {
+  let sent;
+  let store;
+  let pc;
+
+  beforeEach(function () {
+    sent = [];
+    store = {
+      cat: [
+        { id: 'c1', type: 'cat', name: 'Tom', properties: { color: 'grey' } },
+        { id: 'c2', type: 'cat', name: 'Garfield, "the cat"', parentid: 'd1' }
+      ],
+      dog: [{ id: 'd1', type: 'dog', name: 'Rex' }],
+      linker: [
+        { id: 'cat:c1:dog:d1', type: 'linker', type1: 'cat', id1: 'c1', type2: 'dog', id2: 'd1' }
+      ]
+    };
+    pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, function (request) {
+        const path = request.url.substring(pc.endpoint.length);
+        if (path === '/v1/_types') {
+          return jsonResponse(200, { cat: 2, dog: 1 });
+        }
+        if (path === '/v1/_batch' && request.method === 'POST') {
+          return jsonResponse(200, JSON.parse(request.body));
+        }
+        if (path === '/v1/_batch' && request.method === 'GET') {
+          return jsonResponse(
+            200,
+            request.query.ids
+              .filter(function (id) {
+                return id === 'c1';
+              })
+              .map(function (id) {
+                return { id: id, type: 'cat' };
+              })
+          );
+        }
+        if (request.method === 'POST' && path.indexOf('/links/') > 0) {
+          return jsonResponse(200, 'ok');
+        }
+        // list one object per page, following lastKey
+        const items = store[path.substring(4)] || [];
+        const start = request.query.lastKey ? parseInt(request.query.lastKey, 10) : 0;
+        const page = items.slice(start, start + 1);
+        const body = { items: page, totalHits: items.length };
+        if (page.length) {
+          body.lastKey = String(start + 1);
+        }
+        return jsonResponse(200, body);
+      })
+    });
+  });
+
+  it('exports a type as NDJSON', async function () {
+    const text = await collect(pc.exportType('cat', { pageSize: 1 }));
+    const lines = text.trim().split('\n').map(JSON.parse);
+    assert.deepEqual(
+      lines.map(function (obj) {
+        return obj.id;
+      }),
+      ['c1', 'c2']
+    );
+    assert.equal(lines[0].properties.color, 'grey');
+    assert.equal(sent[1].query.lastKey, '1');
+  });
+
+  it('exports CSV with a column mapping', async function () {
+    const text = await collect(
+      pc.exportType('cat', {
+        format: 'csv',
+        columns: { ID: 'id', Name: 'name', Color: 'properties.color' }
+      })
+    );
+    assert.equal(text, 'ID,Name,Color\r\nc1,Tom,grey\r\nc2,"Garfield, ""the cat""",\r\n');
+  });
+
+  it('exports all types with their links', async function () {
+    const text = await collect(pc.exportAll());
+    assert.equal(sent[0].url, pc.endpoint + '/v1/_types');
+    assert.deepEqual(
+      text
+        .trim()
+        .split('\n')
+        .map(function (line) {
+          return JSON.parse(line).id;
+        }),
+      ['c1', 'c2', 'd1', 'cat:c1:dog:d1']
+    );
+  });
+
+  it('imports objects and creates links', async function () {
+    const text = await collect(pc.exportAll());
+    sent.length = 0;
+    const report = await pc.importObjects(Readable.from([Buffer.from(text)]), { chunkSize: 2 });
+    assert.deepEqual(report.succeeded, ['c1', 'c2', 'd1']);
+    assert.equal(report.links, 1);
+    assert.deepEqual(report.failed, []);
+    const batches = sent.filter(function (req) {
+      return req.method === 'POST' && req.url.endsWith('/_batch');
+    });
+    assert.equal(batches.length, 2);
+    assert.equal(sent[sent.length - 1].url, pc.endpoint + '/v1/cat/c1/links/d1');
+  });
+
+  it('remaps ids and references', async function () {
+    const records = store.dog.concat(store.cat, store.linker);
+    const report = await pc.importObjects(records, {
+      remapIds: function (id) {
+        return 'new-' + id;
+      }
+    });
+    assert.deepEqual(report.ids, { d1: 'new-d1', c1: 'new-c1', c2: 'new-c2' });
+    const created = JSON.parse(sent[0].body);
+    assert.equal(created[2].parentid, 'new-d1');
+    assert.equal(sent[1].url, pc.endpoint + '/v1/cat/new-c1/links/new-d1');
+  });
+
+  it('skips existing objects unless upserting', async function () {
+    const ndjson = JSON.stringify(store.cat[0]) + '\n' + JSON.stringify(store.cat[1]);
+    const report = await pc.importObjects(ndjson, { upsert: false });
+    assert.deepEqual(report.skipped, ['c1']);
+    assert.deepEqual(report.succeeded, ['c2']);
+  });
+
+  it('writes nothing in dry-run mode', async function () {
+    const report = await pc.importObjects(['{"id":"c1","type":"cat"}\n{"id":"x"}\nnot json\n'], {
+      dryRun: true
+    });
+    assert.deepEqual(report.succeeded, ['c1']);
+    assert.equal(report.failed.length, 2);
+    assert.equal(report.failed[1].item, 'not json');
+    assert.equal(sent.length, 0);
+  });
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+
+import ParaClient from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+describe('Interceptors', function () {
+  let sent;
+  let responses;
+  let pc;
+
+  beforeEach(function () {
+    sent = [];
+    responses = [];
+    pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, function () {
+        return responses.shift() || jsonResponse(200, { version: '1.0' });
+      })
+    });
+  });
+
+  it('adds headers and params before signing', async function () {
+    pc.use({
+      beforeSign: function (ctx) {
+        ctx.headers['X-Correlation-Id'] = 'abc';
+        ctx.params = Object.assign({}, ctx.params, { tenant: 't1' });
+      }
+    });
+    await pc.getServerVersion();
+    assert.equal(sent[0].headers['X-Correlation-Id'], 'abc');
+    assert.match(sent[0].headers['Authorization'], /SignedHeaders=[^,]*x-correlation-id/);
+    assert.deepEqual(sent[0].query, { tenant: 't1' });
+  });
+
+  it('runs hooks in order and shares the context between them', async function () {
+    const calls = [];
+    pc.use({
+      beforeSign: function (ctx) {
+        calls.push('beforeSign');
+        ctx.start = Date.now();
+      },
+      afterSign: function (ctx) {
+        calls.push('afterSign');
+        assert.ok(ctx.request.headers['Authorization']);
+      },
+      onResponse: function (res, ctx) {
+        calls.push('onResponse');
+        assert.ok(ctx.start > 0);
+        assert.equal(res.status, 200);
+      }
+    });
+    await pc.getServerVersion();
+    assert.deepEqual(calls, ['beforeSign', 'afterSign', 'onResponse']);
+  });
+
+  it('short-circuits requests with a response', async function () {
+    pc.use({
+      beforeSign: async function () {
+        return jsonResponse(200, { version: 'cached' });
+      }
+    });
+    assert.equal(await pc.getServerVersion(), 'cached');
+    assert.equal(sent.length, 0);
+  });
+
+  it('replaces responses and recovers from errors', async function () {
+    responses.push(jsonResponse(500, { code: 500, message: 'fail' }));
+    const errors = [];
+    pc.use({
+      onResponse: function (res) {
+        if (res.status === 200) {
+          return jsonResponse(200, { version: 'replaced' });
+        }
+      },
+      onError: function (e) {
+        errors.push(e);
+        return jsonResponse(200, { version: 'recovered' });
+      }
+    });
+    assert.equal(await pc.getServerVersion(), 'recovered');
+    assert.equal(errors[0].status, 500);
+    assert.equal(await pc.getServerVersion(), 'replaced');
+  });
+
+  it('can be removed and passed as constructor options', async function () {
+    const calls = [];
+    const interceptor = {
+      afterSign: function () {
+        calls.push(1);
+      }
+    };
+    const client = new ParaClient('app:test', 'secret', {
+      interceptors: [interceptor],
+      transport: stubTransport(function () {
+        return jsonResponse(200, {});
+      })
+    });
+    assert.equal(client.interceptors.length, 1);
+    const remove = pc.use(interceptor);
+    await pc.getServerVersion();
+    remove();
+    await pc.getServerVersion();
+    assert.equal(calls.length, 1);
+  });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaObject, Pager } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+function page(ids, totalHits, lastKey) {
+  const body = {
+    items: ids.map(function (id) {
+      return { id: String(id), type: 'cat' };
+    }),
+    totalHits: totalHits
+  };
+  if (lastKey) {
+    body.lastKey = lastKey;
+  }
+  return jsonResponse(200, body);
+}
+
+async function collect(iterator) {
+  const ids = [];
+  for await (const obj of iterator) {
+    ids.push(obj.getId());
+  }
+  return ids;
+}
+
+describe('Iterators', function () {
+  let sent;
+  let responses;
+  let pc;
+
+  beforeEach(function () {
+    sent = [];
+    responses = [];
+    pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, function () {
+        return responses.shift() || page([], 0);
+      })
+    });
+  });
+
+  it('follows page numbers', async function () {
+    responses.push(page([1, 2], 5), page([3, 4], 5), page([5], 5));
+    const ids = await collect(pc.iterate.findQuery('cat', 'foo', { pageSize: 2 }));
+    assert.deepEqual(ids, ['1', '2', '3', '4', '5']);
+    assert.equal(sent.length, 3);
+    assert.equal(sent[0].url, pc.endpoint + '/v1/cat/search/default');
+    assert.equal(sent[0].query.q, 'foo');
+    assert.deepEqual(
+      sent.map(function (req) {
+        return [req.query.page, req.query.limit];
+      }),
+      [
+        [1, 2],
+        [2, 2],
+        [3, 2]
+      ]
+    );
+  });
+
+  it('follows lastKey', async function () {
+    responses.push(page([1, 2], 4, 'k2'), page([3, 4], 4, 'k4'));
+    const ids = await collect(pc.iterate.list('cat', { pageSize: 2 }));
+    assert.deepEqual(ids, ['1', '2', '3', '4']);
+    assert.equal(sent[0].query.lastKey, undefined);
+    assert.equal(sent[1].query.lastKey, 'k2');
+    assert.equal(sent[1].query.page, 1);
+  });
+
+  it('stops after maxItems', async function () {
+    responses.push(page([1, 2, 3], 9), page([4, 5, 6], 9));
+    const ids = await collect(pc.iterate.findTagged('cat', ['a'], { pageSize: 3, maxItems: 4 }));
+    assert.deepEqual(ids, ['1', '2', '3', '4']);
+    assert.equal(sent.length, 2);
+  });
+
+  it('stops on short pages when the total is unknown', async function () {
+    responses.push(page([1, 2], 0), page([3], 0));
+    const ids = await collect(pc.iterate.findTags('a', { pageSize: 2 }));
+    assert.deepEqual(ids, ['1', '2', '3']);
+    assert.equal(sent.length, 2);
+  });
+
+  it('starts from a given pager', async function () {
+    responses.push(page([7, 8], 8));
+    const pager = new Pager(4, null, true, 2);
+    const ids = await collect(
+      pc.iterate.getLinkedObjects(new ParaObject('1', 'dog'), 'cat', { pager: pager })
+    );
+    assert.deepEqual(ids, ['7', '8']);
+    assert.equal(sent[0].query.page, 4);
+    assert.equal(pager.count, 8);
+  });
+});
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { constraintsToJsonSchema, jsonSchemaToConstraints } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+function describeConstraints(list) {
+  return list.map(function (item) {
+    return [item.type, item.field, item.constraint.getName(), item.constraint.getPayload()];
+  });
+}
+
+const constraints = {
+  cat: {
+    name: {
+      required: { message: 'messages.required' },
+      size: { min: 2, max: 20, message: 'messages.size' },
+      pattern: { value: '[A-Z].*', message: 'messages.pattern' }
+    },
+    paws: {
+      min: { value: 0, message: 'messages.min' },
+      max: { value: 4, message: 'messages.max' }
+    },
+    email: { email: { message: 'messages.email' } },
+    born: { past: { message: 'messages.past' } },
+    weight: { digits: { integer: 2, fraction: 1, message: 'messages.digits' } },
+    cute: { true: { message: 'messages.true' } }
+  }
+};
+
+function toPattern(pattern) {
+  const list = jsonSchemaToConstraints({ properties: { code: { pattern: pattern } } }, 'cat');
+  return list[0].constraint.getPayload().value;
+}
+
+describe('JSON Schema', function () {
+  it('converts constraints to a schema', function () {
+    const schema = constraintsToJsonSchema(constraints, 'cat');
+    assert.deepEqual(schema, {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'cat',
+      type: 'object',
+      properties: {
+        name: { minLength: 2, maxLength: 20, pattern: '^(?:[A-Z].*)$' },
+        paws: { minimum: 0, maximum: 4 },
+        email: { format: 'email' },
+        born: { 'x-para-constraints': { past: { message: 'messages.past' } } },
+        weight: {
+          'x-para-constraints': {
+            digits: { integer: 2, fraction: 1, message: 'messages.digits' }
+          }
+        },
+        cute: { const: true }
+      },
+      required: ['name']
+    });
+    assert.deepEqual(Object.keys(constraintsToJsonSchema(constraints).$defs), ['cat']);
+  });
+
+  it('converts a schema back to constraints', function () {
+    const list = jsonSchemaToConstraints(constraintsToJsonSchema(constraints));
+    const roundTrip = {};
+    list.forEach(function (item) {
+      roundTrip[item.type] = roundTrip[item.type] || {};
+      roundTrip[item.type][item.field] = roundTrip[item.type][item.field] || {};
+      roundTrip[item.type][item.field][item.constraint.getName()] = item.constraint.getPayload();
+    });
+    assert.deepEqual(roundTrip, constraints);
+  });
+
+  it('reads plain JSON schemas', function () {
+    const list = jsonSchemaToConstraints(
+      {
+        properties: {
+          tags: { type: 'array', minItems: 1 },
+          code: { pattern: '^[0-9]+' },
+          site: { format: 'uri' },
+          shy: { not: { const: true } },
+          color: { enum: ['grey'] }
+        }
+      },
+      'cat'
+    );
+    assert.deepEqual(describeConstraints(list), [
+      ['cat', 'tags', 'size', { min: 1, max: 2147483647, message: 'messages.size' }],
+      ['cat', 'code', 'pattern', { value: '(?:[0-9]+).*', message: 'messages.pattern' }],
+      ['cat', 'site', 'url', { message: 'messages.url' }],
+      ['cat', 'shy', 'false', { message: 'messages.false' }]
+    ]);
+  });
+
+  it('keeps the meaning of anchors in alternations', function () {
+    const values = ['a', 'b', 'ax', 'xb', 'xa', 'bx', 'xbx'];
+    const search = function (pattern) {
+      return values.map(function (value) {
+        return new RegExp(pattern).test(value);
+      });
+    };
+    ['^a|b$', '^(?:a)|(?:b)$', 'a|b', '^a$', '^[|]$'].forEach(function (pattern) {
+      const value = toPattern(pattern);
+      assert.deepEqual(search('^(?:' + value + ')$'), search(pattern), pattern);
+      const schema = constraintsToJsonSchema({ cat: { code: { pattern: { value: value } } } });
+      assert.deepEqual(search(schema.$defs.cat.properties.code.pattern), search(pattern), pattern);
+    });
+    assert.equal(toPattern('^a$'), 'a');
+    assert.equal(toPattern('^a|b$'), '.*(?:^a|b$).*');
+  });
+
+  it('syncs the constraints on the server', async function () {
+    const sent = [];
+    const pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, function () {
+        return jsonResponse(200, {
+          cat: {
+            name: { required: { message: 'messages.required' } },
+            paws: { max: { value: 5, message: 'messages.max' } },
+            color: { required: { message: 'messages.required' } }
+          }
+        });
+      })
+    });
+    const schema = {
+      title: 'cat',
+      properties: { paws: { maximum: 4 } },
+      required: ['name']
+    };
+    const dryRun = await pc.syncValidationConstraints(schema, { dryRun: true });
+    assert.deepEqual(dryRun, {
+      added: [{ type: 'cat', field: 'paws', constraint: 'max' }],
+      removed: [{ type: 'cat', field: 'color', constraint: 'required' }],
+      unchanged: 1
+    });
+    assert.equal(sent.length, 1);
+    await pc.syncValidationConstraints(schema);
+    assert.deepEqual(
+      sent.slice(1).map(function (req) {
+        return req.method + ' ' + req.url.substring(pc.endpoint.length);
+      }),
+      [
+        'GET /v1/_constraints/cat',
+        'PUT /v1/_constraints/cat/paws/max',
+        'DELETE /v1/_constraints/cat/color/required'
+      ]
+    );
+    await pc.syncValidationConstraints(schema, { remove: false, dryRun: true }).then(function (r) {
+      assert.deepEqual(r.removed, []);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import ParaClient, { Migrations, Sysprop } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+describe('Migrations', function () {
+  let store;
+  let settings;
+  let pc;
+  let migrations;
+
+  beforeEach(function () {
+    store = {};
+    settings = {};
+    pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(function (request) {
+        const path = request.url.substring(pc.endpoint.length + 4);
+        if (request.method === 'PUT') {
+          store[path] = JSON.parse(request.body);
+          return jsonResponse(200, store[path]);
+        }
+        return store[path] ? jsonResponse(200, store[path]) : jsonResponse(404, { code: 404 });
+      })
+    });
+    function setting(key, value) {
+      return {
+        up: function () {
+          settings[key] = value;
+        },
+        down: function () {
+          delete settings[key];
+        }
+      };
+    }
+    migrations = new Migrations(pc, [
+      Object.assign({ version: '010', name: 'third' }, setting('c', 3)),
+      Object.assign({ version: '2', name: 'second' }, setting('b', 2)),
+      Object.assign({ version: '1', name: 'first' }, setting('a', 1))
+    ]);
+  });
+
+  it('applies pending migrations in version order', async function () {
+    assert.deepEqual(await migrations.migrate({ to: '2' }), ['1', '2']);
+    assert.deepEqual(settings, { a: 1, b: 2 });
+    const state = store['sysprop/para-migrations'];
+    assert.deepEqual(
+      state.properties.applied.map(function (a) {
+        return a.version;
+      }),
+      ['1', '2']
+    );
+    assert.deepEqual(await migrations.migrate(), ['010']);
+    assert.deepEqual(await migrations.migrate(), []);
+    const loaded = await migrations.loadState();
+    assert.ok(loaded instanceof Sysprop);
+  });
+
+  it('rolls back applied migrations', async function () {
+    await migrations.migrate();
+    assert.deepEqual(await migrations.rollback(), ['010']);
+    assert.deepEqual(settings, { a: 1, b: 2 });
+    assert.deepEqual(await migrations.rollback({ to: '0' }), ['2', '1']);
+    assert.deepEqual(settings, {});
+    assert.deepEqual(store['sysprop/para-migrations'].properties.applied, []);
+  });
+
+  it('reports the status of each migration', async function () {
+    await migrations.migrate({ to: '1' });
+    store['sysprop/para-migrations'].properties.applied.push({ version: '3', appliedAt: 1 });
+    const status = await migrations.status();
+    assert.deepEqual(
+      status.map(function (s) {
+        return [s.version, s.applied, s.missing];
+      }),
+      [
+        ['1', true, false],
+        ['2', false, false],
+        ['3', true, true],
+        ['010', false, false]
+      ]
+    );
+    await assert.rejects(migrations.rollback({ to: '1' }), /can not be rolled back/);
+  });
+
+  it('keeps the progress when a migration fails', async function () {
+    migrations.findMigration('2').up = function () {
+      throw new Error('oops');
+    };
+    await assert.rejects(migrations.migrate(), /oops/);
+    assert.deepEqual(settings, { a: 1 });
+    assert.equal(store['sysprop/para-migrations'].properties.applied.length, 1);
+  });
+
+  it('loads migrations from a directory', async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      fs.writeFileSync(path.join(dir, '001-add-setting.mjs'), 'export function up() {}\n');
+      fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+      const loaded = await Migrations.fromDirectory(pc, dir);
+      assert.equal(loaded.migrations.length, 1);
+      assert.equal(loaded.migrations[0].version, '001');
+      assert.equal(loaded.migrations[0].name, '001-add-setting.mjs');
+      assert.deepEqual(await loaded.migrate(), ['001']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects invalid migrations', function () {
+    assert.throws(function () {
+      new Migrations(pc, [{ version: '1' }]);
+    }, /no up/);
+    assert.throws(function () {
+      new Migrations(pc, [
+        { version: '1', up: Function.prototype },
+        { version: '1', up: Function.prototype }
+      ]);
+    }, /Duplicate/);
+  });
+});
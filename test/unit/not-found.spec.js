@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaNotFoundError } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+describe('Not found', function () {
+  let responses;
+  let sent;
+
+  function client(options) {
+    return new ParaClient(
+      'app:test',
+      'secret',
+      Object.assign(
+        {
+          transport: stubTransport(sent, function () {
+            return responses.shift();
+          })
+        },
+        options
+      )
+    );
+  }
+
+  beforeEach(function () {
+    responses = [];
+    sent = [];
+  });
+
+  it('resolves read() to null on 404', async function () {
+    responses.push(jsonResponse(404, { code: 404, message: 'not found' }));
+    let args;
+    const res = await client().read('cat', '1', function () {
+      args = arguments;
+    });
+    assert.equal(res, null);
+    assert.equal(args.length, 1);
+    assert.equal(args[0], null);
+  });
+
+  it('rejects read() on 404 with throwOnNotFound', async function () {
+    responses.push(jsonResponse(404, { code: 404, message: 'not found' }));
+    await assert.rejects(client({ throwOnNotFound: true }).read('cat', '1'), ParaNotFoundError);
+    responses.push(jsonResponse(404, { code: 404, message: 'not found' }));
+    await assert.rejects(client().read('cat', '1', { throwOnNotFound: true }), function (e) {
+      assert.ok(e instanceof ParaNotFoundError);
+      assert.equal(e.path, '/v1/cat/1');
+      return true;
+    });
+  });
+
+  it('still rejects read() on other errors', async function () {
+    responses.push(jsonResponse(500, { code: 500, message: 'oops' }));
+    await assert.rejects(client().read('cat', '1'), { status: 500 });
+  });
+
+  it('resolves 204 responses to null', async function () {
+    responses.push(jsonResponse(204));
+    assert.equal(await client().read('cat', '1'), null);
+  });
+
+  it('resolves findById() to the object or null', async function () {
+    const pc = client();
+    responses.push(jsonResponse(200, { items: [{ id: '1', type: 'cat' }], totalHits: 1 }));
+    const cat = await pc.findById('1');
+    assert.equal(cat.getId(), '1');
+    responses.push(jsonResponse(200, { items: [], totalHits: 0 }));
+    assert.equal(await pc.findById('2'), null);
+    responses.push(jsonResponse(200, { items: [], totalHits: 0 }));
+    await assert.rejects(pc.findById('2', { throwOnNotFound: true }), ParaNotFoundError);
+  });
+
+  it('reports missing ids in readAll()', async function () {
+    responses.push(
+      jsonResponse(200, [
+        { id: '1', type: 'cat' },
+        { id: '3', type: 'cat' }
+      ])
+    );
+    const res = await client().readAll(['1', '2', '3', '4']);
+    assert.deepEqual(
+      res.map(function (obj) {
+        return obj.getId();
+      }),
+      ['1', '3']
+    );
+    assert.deepEqual(res.missing, ['2', '4']);
+    assert.deepEqual(sent[0].query, { ids: ['1', '2', '3', '4'] });
+  });
+});
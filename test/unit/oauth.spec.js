@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaAuthError, User } from '../../lib/index.js';
+import { jsonResponse, stubTransport, jwt } from './helpers.js';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: function (key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    setItem: function (key, value) {
+      items.set(key, String(value));
+    },
+    removeItem: function (key) {
+      items.delete(key);
+    }
+  };
+}
+
+describe('OAuth sign in', function () {
+  let sent;
+  let storage;
+  let pc;
+
+  beforeEach(function () {
+    sent = [];
+    storage = memoryStorage();
+    pc = new ParaClient('app:test', 'secret', {
+      endpoint: 'https://para.example.com',
+      transport: stubTransport(sent, function () {
+        return jsonResponse(200, { id: 'u1', type: 'user', name: 'Ann' });
+      })
+    });
+  });
+
+  it('builds the provider URL with Para as the redirect URI', function () {
+    const url = new URL(pc.getOAuthUrl('github', { clientId: 'abc' }));
+    assert.equal(url.origin + url.pathname, 'https://github.com/login/oauth/authorize');
+    assert.equal(url.searchParams.get('client_id'), 'abc');
+    assert.equal(url.searchParams.get('redirect_uri'), 'https://para.example.com/github_auth');
+    assert.equal(url.searchParams.get('state'), 'test');
+    assert.equal(url.searchParams.get('response_type'), 'code');
+  });
+
+  it('supports Twitter and generic providers', function () {
+    assert.equal(pc.getOAuthUrl('twitter'), 'https://para.example.com/twitter_auth?appid=test');
+    const url = new URL(
+      pc.getOAuthUrl('oauth2', {
+        clientId: 'abc',
+        authorizeUrl: 'https://idp.example.com/authorize?tenant=1',
+        scope: 'openid',
+        params: { prompt: 'login' }
+      })
+    );
+    assert.equal(url.searchParams.get('tenant'), '1');
+    assert.equal(url.searchParams.get('prompt'), 'login');
+    assert.equal(url.searchParams.get('redirect_uri'), 'https://para.example.com/oauth2_auth');
+    assert.throws(function () {
+      pc.getOAuthUrl('oauth2', { clientId: 'abc' });
+    }, /authorizeUrl/);
+    assert.throws(function () {
+      pc.getOAuthUrl('myspace', { clientId: 'abc' });
+    }, /Unknown/);
+  });
+
+  it('completes a sign in started in the same session', async function () {
+    const token = jwt({ exp: 4102444800, iat: Math.floor(Date.now() / 1000), appid: 'test' });
+    pc.startOAuthSignIn('google', { clientId: 'abc', storage: storage, redirect: false });
+    const user = await pc.handleOAuthCallback('https://app.example.com/signin?jwt=' + token, {
+      storage: storage
+    });
+    assert.ok(user instanceof User);
+    assert.equal(pc.getAccessToken(), token);
+    assert.equal(sent[0].url, 'https://para.example.com/v1/_me');
+    assert.equal(storage.getItem('para-oauth'), null);
+  });
+
+  it('reads the token without Buffer, like in browsers', async function () {
+    const token = jwt({ exp: 4102444800, iat: Math.floor(Date.now() / 1000), appid: 'test' });
+    const buffer = globalThis.Buffer;
+    pc.startOAuthSignIn('github', { clientId: 'abc', storage: storage, redirect: false });
+    delete globalThis.Buffer;
+    try {
+      await pc.handleOAuthCallback('https://app.example.com/?jwt=' + token, { storage: storage });
+    } finally {
+      globalThis.Buffer = buffer;
+    }
+    assert.equal(pc.getAccessToken(), token);
+    assert.equal(pc.tokenKeyExpires, 4102444800000);
+  });
+
+  it('rejects a callback which this session did not start', async function () {
+    await assert.rejects(
+      pc.handleOAuthCallback('https://app.example.com/#jwt=' + jwt({}), { storage: storage }),
+      function (e) {
+        return e instanceof ParaAuthError && e.reason === 'invalidState';
+      }
+    );
+    assert.equal(pc.getAccessToken(), null);
+    assert.equal(sent.length, 0);
+  });
+
+  it('rejects a token from a different sign in', async function () {
+    const hourAgo = Math.floor(Date.now() / 1000) - 3600;
+    const tokens = [
+      jwt({ exp: 4102444800, iat: hourAgo }),
+      jwt({ exp: 4102444800, iat: Math.floor(Date.now() / 1000), appid: 'other' }),
+      jwt({ exp: 4102444800 })
+    ];
+    for (const token of tokens) {
+      pc.startOAuthSignIn('google', { clientId: 'abc', storage: storage, redirect: false });
+      await assert.rejects(
+        pc.handleOAuthCallback('https://app.example.com/?jwt=' + token, { storage: storage }),
+        function (e) {
+          return e instanceof ParaAuthError && e.reason === 'invalidToken';
+        }
+      );
+    }
+    assert.equal(pc.getAccessToken(), null);
+    assert.equal(sent.length, 0);
+  });
+
+  it('rejects provider errors and ignores other URLs', async function () {
+    pc.startOAuthSignIn('facebook', { clientId: 'abc', storage: storage, redirect: false });
+    assert.equal(
+      await pc.handleOAuthCallback('https://app.example.com/', { storage: storage }),
+      null
+    );
+    await assert.rejects(
+      pc.handleOAuthCallback('https://app.example.com/?error=access_denied', { storage: storage }),
+      function (e) {
+        return e.reason === 'providerError' && e.message === 'access_denied';
+      }
+    );
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { Pager } from '../../lib/index.js';
+import { stubTransport } from './helpers.js';
+
+describe('Pager', function () {
+  it('sorts in descending order unless told otherwise', function () {
+    assert.equal(new Pager().desc, true);
+    assert.equal(new Pager(1, 'name').desc, true);
+    assert.equal(new Pager(1, 'name', false).desc, false);
+    assert.equal(new Pager().sortBy('name', false).desc, false);
+  });
+
+  it('sorts by multiple fields', function () {
+    const pager = new Pager().sortBy('votes').thenSortBy('name', false);
+    assert.deepEqual(pager.getSortFields(), [
+      { field: 'votes', desc: true },
+      { field: 'name', desc: false }
+    ]);
+    assert.equal(pager.getSortParam(), 'votes:desc,name:asc');
+    assert.equal(new Pager(1, 'name').getSortParam(), 'name');
+    const parsed = new Pager().setSortParam('votes:desc, name:asc,timestamp');
+    assert.deepEqual(parsed.getSortFields(), [
+      { field: 'votes', desc: true },
+      { field: 'name', desc: false },
+      { field: 'timestamp', desc: true }
+    ]);
+  });
+
+  it('converts to and from query strings', function () {
+    const pager = new Pager(3, 'name', false, 10);
+    pager.lastKey = 'abc';
+    pager.select = ['id', 'name'];
+    const query = pager.toQueryString();
+    assert.equal(query, 'page=3&desc=false&limit=10&lastKey=abc&sort=name&select=id%2Cname');
+    const copy = Pager.fromQueryString('?' + query);
+    assert.equal(copy.page, 3);
+    assert.equal(copy.limit, 10);
+    assert.equal(copy.desc, false);
+    assert.equal(copy.sortby, 'name');
+    assert.equal(copy.lastKey, 'abc');
+    assert.deepEqual(copy.select, ['id', 'name']);
+    const multi = Pager.fromQueryString(
+      new Pager().sortBy('a', false).thenSortBy('b').toQueryString()
+    );
+    assert.equal(multi.getSortParam(), 'a:asc,b:desc');
+    const defaults = Pager.fromQueryString('');
+    assert.equal(defaults.page, 1);
+    assert.equal(defaults.limit, 30);
+    assert.equal(defaults.desc, true);
+  });
+
+  it('serializes to opaque cursor tokens', function () {
+    const pager = new Pager(2, null, null, 50).sortBy('votes').thenSortBy('name', false);
+    pager.lastKey = 'ключ/1+2';
+    const cursor = pager.toCursor();
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    const copy = Pager.fromCursor(cursor);
+    assert.equal(copy.page, 2);
+    assert.equal(copy.limit, 50);
+    assert.equal(copy.lastKey, 'ключ/1+2');
+    assert.equal(copy.getSortParam(), 'votes:desc,name:asc');
+    assert.equal(Pager.fromCursor(new Pager(1, null, false).toCursor()).desc, false);
+    assert.throws(function () {
+      Pager.fromCursor('not a cursor');
+    }, /Invalid cursor/);
+  });
+
+  it('is converted to request parameters', async function () {
+    const sent = [];
+    const pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, function () {
+        return { status: 200, headers: {}, body: { items: [] }, text: '' };
+      })
+    });
+    await pc.findQuery('cat', '*', new Pager(2, null, null, 5).sortBy('a', false).thenSortBy('b'));
+    assert.deepEqual(sent[0].query, {
+      q: '*',
+      type: 'cat',
+      page: 2,
+      desc: false,
+      limit: 5,
+      sort: 'a:asc,b:desc'
+    });
+    assert.deepEqual(pc.pagerToParams({ page: 1, sortby: 'name', desc: false }), {
+      page: 1,
+      desc: false,
+      limit: 30,
+      sort: 'name'
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaAuthError, User } from '../../lib/index.js';
+import { jsonResponse, stubTransport, jwt } from './helpers.js';
+
+describe('Password and LDAP sign in', function () {
+  let sent;
+  let reply;
+  let pc;
+
+  beforeEach(function () {
+    sent = [];
+    reply = function () {
+      return jsonResponse(200, {
+        user: { id: 'u1', type: 'user', email: 'ann@example.com' },
+        jwt: { access_token: jwt({ exp: 4102444800 }), expires: 4102444800000, refresh: 0 }
+      });
+    };
+    pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, function (request) {
+        return reply(request);
+      })
+    });
+  });
+
+  it('signs in with an email and a password', async function () {
+    const user = await pc.signInWithPassword(' ann@example.com ', 'pass:word');
+    assert.ok(user instanceof User);
+    assert.equal(user.getEmail(), 'ann@example.com');
+    const body = JSON.parse(sent[0].body);
+    assert.equal(body.provider, 'password');
+    assert.equal(body.token, 'ann@example.com::pass:word');
+    assert.ok(pc.getAccessToken());
+  });
+
+  it('signs up a user with a name', async function () {
+    await pc.signUp('ann@example.com', 'Ann Smith', 'secret1', { rememberJWT: false });
+    assert.equal(JSON.parse(sent[0].body).token, 'ann@example.com:Ann Smith:secret1');
+    assert.equal(pc.getAccessToken(), null);
+  });
+
+  it('signs in with LDAP', async function () {
+    await pc.signInWithLdap('ann', 'secret1');
+    const body = JSON.parse(sent[0].body);
+    assert.equal(body.provider, 'ldap');
+    assert.equal(body.token, 'ann:secret1');
+  });
+
+  it('rejects invalid input without a request', async function () {
+    const reasons = [];
+    for (const attempt of [
+      pc.signInWithPassword('', 'x'),
+      pc.signInWithPassword('not-an-email', 'x'),
+      pc.signUp('ann@example.com', 'Ann:Smith', 'x'),
+      pc.signInWithLdap('ann', null)
+    ]) {
+      await attempt.catch(function (e) {
+        assert.ok(e instanceof ParaAuthError);
+        reasons.push(e.reason);
+      });
+    }
+    assert.deepEqual(reasons, [
+      'missingCredentials',
+      'invalidEmail',
+      'invalidName',
+      'missingCredentials'
+    ]);
+    assert.equal(sent.length, 0);
+  });
+
+  it('rejects with the reason when the credentials are wrong', async function () {
+    reply = function () {
+      return jsonResponse(400, { code: 400, message: 'Failed to authenticate user.' });
+    };
+    let called;
+    await assert.rejects(
+      pc.signInWithPassword('ann@example.com', 'wrong', function (user, e) {
+        called = e;
+      }),
+      function (e) {
+        assert.ok(e instanceof ParaAuthError);
+        assert.equal(e.reason, 'invalidCredentials');
+        assert.equal(e.status, 400);
+        assert.equal(e.message, 'Failed to authenticate user.');
+        return true;
+      }
+    );
+    assert.ok(called instanceof ParaAuthError);
+  });
+
+  it('passes server errors through', async function () {
+    reply = function () {
+      return jsonResponse(500, { code: 500, message: 'boom' });
+    };
+    await assert.rejects(pc.signInWithLdap('ann', 'secret1'), function (e) {
+      return !(e instanceof ParaAuthError) && e.status === 500;
+    });
+  });
+});
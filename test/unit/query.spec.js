@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaObject, Query } from '../../lib/index.js';
+import { stubTransport } from './helpers.js';
+
+describe('Query', function () {
+  it('builds terms, phrases and wildcards', function () {
+    assert.equal(new Query().toString(), '*');
+    assert.equal(new Query().term('name', 'Tom').toString(), 'name:Tom');
+    assert.equal(new Query().term(null, 'Tom').toString(), 'Tom');
+    assert.equal(
+      new Query().phrase('name', 'Tom "the" Cat').toString(),
+      'name:"Tom \\"the\\" Cat"'
+    );
+    assert.equal(new Query().wildcard('name', 'T?m (cat)*').toString(), 'name:T?m\\ \\(cat\\)*');
+    assert.equal(new Query().exists('properties.color').toString(), '_exists_:properties.color');
+  });
+
+  it('escapes special characters', function () {
+    assert.equal(
+      new Query().term('email', 'a+b@c.com').term('path', 'a/b:c').toString(),
+      'email:a\\+b@c.com AND path:a\\/b\\:c'
+    );
+    assert.equal(new Query().term('name', 'foo bar*').toString(), 'name:foo\\ bar\\*');
+    assert.equal(new Query().term('word', 'OR').toString(), 'word:"OR"');
+    assert.equal(Query.escape('(1+1)'), '\\(1\\+1\\)');
+  });
+
+  it('builds ranges', function () {
+    assert.equal(new Query().range('votes', 1, 10).toString(), 'votes:[1 TO 10]');
+    assert.equal(new Query().range('votes', 1, null, true).toString(), 'votes:{1 TO *}');
+    const from = new Date(Date.UTC(2026, 0, 1));
+    const to = new Date(Date.UTC(2026, 1, 1));
+    assert.equal(
+      new Query().range('timestamp', from, to).toString(),
+      'timestamp:[' + from.getTime() + ' TO ' + to.getTime() + ']'
+    );
+  });
+
+  it('combines boolean clauses with boosts', function () {
+    const query = new Query()
+      .term('type', 'cat')
+      .should(new Query().phrase('name', 'Tom Cat').boost(2))
+      .should(new Query().wildcard('name', 'Garf*'))
+      .not(new Query().exists('deleted'));
+    assert.equal(
+      query.toString(),
+      'type:cat AND (name:"Tom Cat"^2 OR name:Garf*) AND NOT _exists_:deleted'
+    );
+    assert.equal(
+      new Query().should(new Query().term('a', 1).term('b', 2)).should('c:3').toString(),
+      '(a:1 AND b:2) OR c:3'
+    );
+    assert.equal(new Query().not(new Query().term('a', 1)).toString(), '* AND NOT a:1');
+    assert.equal(
+      new Query().must(new Query().term('a', 1).term('b', 2)).boost(3).toString(),
+      '(a:1 AND b:2)^3'
+    );
+  });
+
+  it('can be passed to the search methods', async function () {
+    const sent = [];
+    const pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, function () {
+        return { status: 200, headers: {}, body: { items: [] }, text: '' };
+      })
+    });
+    const query = new Query().term('name', 'Tom').range('votes', 1, null);
+    await pc.findQuery('cat', query);
+    await pc.findNestedQuery('cat', 'color', query);
+    await pc.findChildren(new ParaObject('1', 'dog'), 'cat', query);
+    await pc.findLinkedObjects(new ParaObject('1', 'dog'), 'cat', 'name', query);
+    sent.forEach(function (req) {
+      assert.equal(req.query.q, 'name:Tom AND votes:[1 TO *]');
+    });
+    assert.equal(sent.length, 4);
+  });
+});
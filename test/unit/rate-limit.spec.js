@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import ParaClient, { RateLimiter, RetryPolicy } from '../../lib/index.js';
+
+describe('RateLimiter', function () {
+  it('lets requests through immediately when unlimited', async function () {
+    const limiter = new RateLimiter();
+    const start = Date.now();
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+    assert.ok(Date.now() - start < 50);
+  });
+
+  it('limits the request rate after the burst is used up', async function () {
+    const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 2 });
+    const start = Date.now();
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+    // two requests pass right away, the other two wait for ~50ms each
+    assert.ok(Date.now() - start >= 90);
+  });
+
+  it('holds back requests while paused', async function () {
+    const limiter = new RateLimiter();
+    limiter.pause(100);
+    assert.equal(limiter.isPaused(), true);
+    const start = Date.now();
+    await limiter.acquire();
+    assert.ok(Date.now() - start >= 90);
+    assert.equal(limiter.isPaused(), false);
+  });
+});
+
+describe('Retry-After', function () {
+  it('parses seconds and HTTP dates', function () {
+    const policy = new RetryPolicy({ jitter: false, baseDelay: 10 });
+    const seconds = { status: 429, response: { headers: { 'retry-after': '3' } } };
+    assert.equal(policy.getRetryAfter(seconds), 3000);
+    assert.equal(policy.getDelay(1, seconds), 3000);
+    const date = new Date(Date.now() + 5000).toUTCString();
+    const delay = policy.getRetryAfter({ response: { headers: { 'retry-after': date } } });
+    assert.ok(delay > 3000 && delay <= 5000);
+    assert.equal(policy.getRetryAfter({ status: 429 }), 0);
+  });
+
+  it('retries throttled requests regardless of method', function () {
+    const policy = new RetryPolicy();
+    assert.equal(policy.shouldRetry('POST', { status: 429 }, 1), true);
+    assert.equal(policy.shouldRetry('POST', { status: 429 }, 3), false);
+  });
+});
+
+describe('ParaClient throttling', function () {
+  let server;
+  let endpoint;
+  let statuses;
+  let times;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      times.push(Date.now());
+      const status = statuses.shift() || 200;
+      const headers = { 'Content-Type': 'application/json' };
+      if (status === 429) {
+        headers['Retry-After'] = '1';
+      }
+      res.writeHead(status, headers);
+      res.end(JSON.stringify([]));
+    });
+    server.listen(0, '127.0.0.1', function () {
+      endpoint = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it('pauses the request queue until Retry-After has passed', async function () {
+    this.timeout(5000);
+    statuses = [429];
+    times = [];
+    const pc = new ParaClient('app:test', 'secret', { endpoint: endpoint, retry: true });
+    const first = pc.getEntity(pc.invokePost('_batch', [{ id: '1' }]));
+    await new Promise(function (done) {
+      setTimeout(done, 100);
+    });
+    assert.equal(pc.rateLimiter.isPaused(), true);
+    const second = pc.getEntity(pc.invokeGet('_batch'));
+    await Promise.all([first, second]);
+    assert.equal(times.length, 3);
+    assert.ok(times[1] - times[0] >= 900, 'requests should wait for Retry-After');
+    assert.ok(times[2] - times[0] >= 900, 'requests should wait for Retry-After');
+  });
+});
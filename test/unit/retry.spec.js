@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import ParaClient, { RetryPolicy } from '../../lib/index.js';
+
+describe('RetryPolicy', function () {
+  it('retries idempotent methods on transient status codes', function () {
+    const policy = new RetryPolicy();
+    assert.equal(policy.shouldRetry('GET', { status: 503 }, 1), true);
+    assert.equal(policy.shouldRetry('delete', { response: { status: 502 } }, 2), true);
+    assert.equal(policy.shouldRetry('GET', { status: 503 }, 3), false);
+    assert.equal(policy.shouldRetry('GET', { status: 400 }, 1), false);
+  });
+
+  it('does not retry POST and PATCH unless allowed', function () {
+    assert.equal(new RetryPolicy().shouldRetry('POST', { status: 503 }, 1), false);
+    assert.equal(new RetryPolicy().shouldRetry('PATCH', { code: 'ECONNRESET' }, 1), false);
+    const policy = new RetryPolicy({ retryNonIdempotent: true });
+    assert.equal(policy.shouldRetry('POST', { status: 503 }, 1), true);
+  });
+
+  it('retries network errors and timeouts', function () {
+    const policy = new RetryPolicy();
+    assert.equal(policy.shouldRetry('GET', { code: 'ECONNRESET' }, 1), true);
+    assert.equal(policy.shouldRetry('GET', { timeout: 1000 }, 1), true);
+    assert.equal(policy.shouldRetry('GET', new Error('boom'), 1), false);
+  });
+
+  it('calculates exponential delays', function () {
+    const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: false });
+    assert.equal(policy.getDelay(1), 100);
+    assert.equal(policy.getDelay(2), 200);
+    assert.equal(policy.getDelay(3), 300);
+    const jittered = new RetryPolicy({ baseDelay: 100 });
+    for (let i = 1; i < 5; i++) {
+      assert.ok(jittered.getDelay(i) < 100 * Math.pow(2, i - 1));
+    }
+  });
+});
+
+describe('ParaClient retries', function () {
+  let server;
+  let endpoint;
+  let statuses;
+  let requests;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      requests.push({ method: req.method, path: req.url });
+      const status = statuses.shift() || 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ version: '1.0', status: status }));
+    });
+    server.listen(0, '127.0.0.1', function () {
+      endpoint = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+  });
+
+  it('does not retry by default', async function () {
+    statuses = [503];
+    const pc = new ParaClient('app:test', 'secret', { endpoint: endpoint });
+    await assert.rejects(pc.getServerVersion());
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries GET requests until they succeed', async function () {
+    statuses = [503, 502];
+    const pc = new ParaClient('app:test', 'secret', {
+      endpoint: endpoint,
+      retry: { maxAttempts: 3, baseDelay: 1 }
+    });
+    assert.equal(await pc.getServerVersion(), '1.0');
+    assert.equal(requests.length, 3);
+  });
+
+  it('does not retry POST requests', async function () {
+    statuses = [503];
+    const pc = new ParaClient('app:test', 'secret', { endpoint: endpoint, retry: true });
+    await assert.rejects(pc.getEntity(pc.invokePost('test', { a: 1 })));
+    assert.equal(requests.length, 1);
+  });
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaAuthError } from '../../lib/index.js';
+import { jsonResponse, stubTransport, jwt } from './helpers.js';
+
+describe('Token refresh', function () {
+  let sent;
+  let refreshes;
+  let handler;
+  let pc;
+
+  function refreshed(token, refresh) {
+    return jsonResponse(200, {
+      user: { id: 'u1', type: 'user' },
+      jwt: {
+        access_token: token,
+        expires: Date.now() + 60000,
+        refresh: refresh || Date.now() + 30000
+      }
+    });
+  }
+
+  beforeEach(function () {
+    sent = [];
+    refreshes = 0;
+    handler = function () {
+      return jsonResponse(200, { version: '1' });
+    };
+    pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, async function (request) {
+        if (request.url.endsWith('/jwt_auth')) {
+          refreshes++;
+          await new Promise(function (done) {
+            setTimeout(done, 10);
+          });
+          return refreshed('new' + refreshes);
+        }
+        return handler(request);
+      })
+    });
+    pc.tokenKey = 'old';
+    pc.tokenKeyExpires = Date.now() + 60000;
+    pc.tokenKeyNextRefresh = Date.now() - 1000;
+  });
+
+  it('shares one refresh between concurrent requests', async function () {
+    const results = await Promise.all([
+      pc.getServerVersion(),
+      pc.getServerVersion(),
+      pc.refreshToken(),
+      pc.getServerVersion()
+    ]);
+    assert.equal(refreshes, 1);
+    assert.equal(results[2], true);
+    assert.equal(pc.getAccessToken(), 'new1');
+    sent
+      .filter(function (req) {
+        return !req.url.endsWith('/jwt_auth');
+      })
+      .forEach(function (req) {
+        assert.equal(req.headers.Authorization, 'Bearer new1');
+      });
+  });
+
+  it('retries a request once after a 401', async function () {
+    pc.tokenKeyNextRefresh = Date.now() + 30000;
+    handler = function (request) {
+      return request.headers.Authorization === 'Bearer old'
+        ? jsonResponse(401, { code: 401, message: 'Expired' })
+        : jsonResponse(200, { version: '1' });
+    };
+    assert.equal(await pc.getServerVersion(), '1');
+    assert.equal(refreshes, 1);
+    assert.equal(sent.length, 3);
+
+    handler = function () {
+      return jsonResponse(401, { code: 401, message: 'Revoked' });
+    };
+    await assert.rejects(pc.getServerVersion(), ParaAuthError);
+    assert.equal(refreshes, 2);
+  });
+
+  it('refreshes the token ahead of time with a timer', async function () {
+    const auto = new ParaClient('app:test', 'secret', {
+      autoRefresh: { ahead: 1000 },
+      transport: stubTransport(sent, function () {
+        return refreshed('fresh', Date.now() + 60000);
+      })
+    });
+    auto.setAccessToken(
+      jwt({ exp: Math.floor(Date.now() / 1000) + 60, refresh: Math.floor(Date.now() / 1000) + 1 })
+    );
+    assert.ok(auto.tokenKeyExpires > Date.now());
+    assert.ok(auto.refreshTimer);
+    await new Promise(function (done) {
+      setTimeout(done, 50);
+    });
+    assert.equal(auto.getAccessToken(), 'fresh');
+    assert.equal(sent.length, 1);
+    await auto.signOut();
+    assert.equal(auto.refreshTimer, null);
+  });
+
+  it('refreshes the token with a nested API path', async function () {
+    const nested = new ParaClient('app:test', 'secret', {
+      apiPath: '/api/v1/',
+      transport: stubTransport(sent, function (request) {
+        if (request.url.endsWith('/jwt_auth')) {
+          return refreshed('fresh');
+        }
+        return jsonResponse(200, { version: '1' });
+      })
+    });
+    nested.tokenKey = 'old';
+    nested.tokenKeyExpires = Date.now() + 60000;
+    nested.tokenKeyNextRefresh = Date.now() - 1000;
+    await nested.getServerVersion();
+    assert.deepEqual(
+      sent.map(function (request) {
+        return request.url.substring(nested.endpoint.length);
+      }),
+      ['/api/jwt_auth', '/api/v1/']
+    );
+    assert.equal(sent[1].headers['Authorization'], 'Bearer fresh');
+  });
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import ParaClient, { TokenStore, WebStorageTokenStore, FileTokenStore } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+// a minimal Web Storage implementation
+function fakeStorage() {
+  const items = new Map();
+  return {
+    getItem: function (key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    setItem: function (key, value) {
+      items.set(key, String(value));
+    },
+    removeItem: function (key) {
+      items.delete(key);
+    }
+  };
+}
+
+describe('Token storage', function () {
+  const later = Date.now() + 60000;
+  let sent;
+
+  function client(store) {
+    return new ParaClient('app:test', 'secret', {
+      tokenStore: store,
+      transport: stubTransport(sent, function () {
+        return jsonResponse(200, {
+          user: { id: 'u1', type: 'user' },
+          jwt: { access_token: 'jwt' + sent.length, expires: later, refresh: later - 1000 }
+        });
+      })
+    });
+  }
+
+  beforeEach(function () {
+    sent = [];
+  });
+
+  it('saves and restores the token', async function () {
+    const store = new TokenStore();
+    const pc = client(store);
+    await pc.signIn('password', 'a@b.c::secret');
+    assert.deepEqual(store.get(), { token: 'jwt1', expires: later, refresh: later - 1000 });
+    const restored = client(store);
+    assert.equal(restored.getAccessToken(), 'jwt1');
+    await restored.getServerVersion();
+    assert.equal(sent[1].headers.Authorization, 'Bearer jwt1');
+    await restored.signOut();
+    assert.equal(store.get(), null);
+  });
+
+  it('does not restore expired tokens', async function () {
+    const store = new TokenStore();
+    store.set({ token: 'old', expires: Date.now() - 1000 });
+    const pc = client(store);
+    await pc.tokenLoaded;
+    assert.equal(pc.getAccessToken(), null);
+    assert.equal(store.get(), null);
+  });
+
+  it('uses Web Storage', async function () {
+    const storage = fakeStorage();
+    const store = new WebStorageTokenStore(storage, 'jwt');
+    const pc = client(store);
+    await pc.setAccessToken('abc');
+    assert.equal(JSON.parse(storage.getItem('jwt')).token, 'abc');
+    assert.equal(client(store).getAccessToken(), 'abc');
+    await pc.clearAccessToken();
+    assert.equal(storage.getItem('jwt'), null);
+    storage.setItem('jwt', 'not json');
+    assert.equal(store.get(), null);
+  });
+
+  it('keeps the token in an encrypted file', async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'para-token-'));
+    try {
+      const file = path.join(dir, 'sub', 'jwt.json');
+      const pc = client(new FileTokenStore({ path: file, secret: 's3cret' }));
+      await pc.signIn('password', 'a@b.c::secret');
+      assert.equal(fs.readFileSync(file, 'utf8').indexOf('jwt1'), -1);
+      assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+      const restored = client(new FileTokenStore({ path: file, secret: 's3cret' }));
+      await restored.tokenLoaded;
+      assert.equal(restored.getAccessToken(), 'jwt1');
+      assert.equal(await new FileTokenStore({ path: file, secret: 'wrong' }).get(), null);
+      await restored.signOut();
+      assert.equal(fs.existsSync(file), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps an existing token file private', async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'para-token-'));
+    try {
+      const file = path.join(dir, 'jwt.json');
+      fs.writeFileSync(file, '{}', { mode: 0o644 });
+      fs.chmodSync(file, 0o644);
+      const store = new FileTokenStore({ path: file, secret: 's3cret' });
+      await store.set({ token: 'jwt1', expires: 1, refresh: 1 });
+      assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+      await store.set({ token: 'jwt2', expires: 2, refresh: 2 });
+      assert.equal((await store.get()).token, 'jwt2');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('checks custom stores', function () {
+    assert.throws(function () {
+      client({ get: function () {} });
+    }, /Token store/);
+  });
+});
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import ParaClient, { FetchTransport, SuperagentTransport, ParaObject } from '../../lib/index.js';
+import { stubTransport } from './helpers.js';
+
+describe('Transports', function () {
+  let server;
+  let endpoint;
+  let requests;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      let body = '';
+      req.on('data', function (chunk) {
+        body += chunk;
+      });
+      req.on('end', function () {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body });
+        if (req.url.indexOf('/v1/utils/timestamp') === 0) {
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end('1234');
+        } else if (req.url.indexOf('/v1/broken') === 0) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end('{"id":');
+        } else if (req.url.indexOf('/v1/missing') === 0) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ code: 404, message: 'not found' }));
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json', ETag: '"abc"' });
+          res.end(body || JSON.stringify({ id: '1', type: 'cat' }));
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', function () {
+      endpoint = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+  });
+
+  it('uses superagent by default in Node.js', function () {
+    const pc = new ParaClient('app:test', 'secret', { endpoint: endpoint });
+    assert.ok(SuperagentTransport.isAvailable());
+    assert.ok(pc.transport instanceof SuperagentTransport);
+    assert.ok(
+      new ParaClient('app:test', 'secret', { transport: 'fetch' }).transport instanceof
+        FetchTransport
+    );
+  });
+
+  ['fetch', 'superagent'].forEach(function (name) {
+    describe(name, function () {
+      let pc;
+
+      beforeEach(function () {
+        pc = new ParaClient('app:test', 'secret', { endpoint: endpoint, transport: name });
+      });
+
+      it('sends signed JSON requests', async function () {
+        const obj = new ParaObject('1', 'cat');
+        obj.setName('Tom');
+        const res = await pc.create(obj);
+        assert.equal(res.getName(), 'Tom');
+        assert.equal(requests[0].method, 'PUT');
+        assert.equal(requests[0].url, '/v1/cat/1');
+        assert.match(requests[0].headers['authorization'], /^AWS4-HMAC-SHA256 /);
+        assert.match(requests[0].headers['content-type'], /^application\/json/);
+        assert.equal(JSON.parse(requests[0].body).name, 'Tom');
+      });
+
+      it('sends multi-valued query parameters', async function () {
+        await pc.getEntity(pc.invokeGet('_batch', { ids: ['1', '2'], x: null }));
+        assert.equal(requests[0].url, '/v1/_batch?ids=1&ids=2&x' + (name === 'fetch' ? '=' : ''));
+      });
+
+      it('returns text responses', async function () {
+        assert.equal(await pc.getTimestamp(), '1234');
+      });
+
+      it('rejects with the response for error status codes', async function () {
+        await assert.rejects(pc.getEntity(pc.invokeGet('missing')), function (e) {
+          assert.equal(e.status, 404);
+          assert.equal(e.response.body.message, 'not found');
+          return true;
+        });
+      });
+
+      it('removes its abort listener when the request settles', async function () {
+        const listeners = new Set();
+        const signal = {
+          aborted: false,
+          addEventListener: function (type, listener) {
+            listeners.add(listener);
+          },
+          removeEventListener: function (type, listener) {
+            listeners.delete(listener);
+          }
+        };
+        await pc.transport.send({ method: 'GET', url: endpoint + '/v1/', signal: signal });
+        assert.equal(listeners.size, 0);
+      });
+    });
+  });
+
+  it('does not turn invalid JSON into an empty object', async function () {
+    const res = await new FetchTransport().send({ method: 'GET', url: endpoint + '/v1/broken' });
+    assert.equal(res.body, null);
+    assert.equal(res.text, '{"id":');
+  });
+
+  it('accepts a custom transport', async function () {
+    const sent = [];
+    const pc = new ParaClient('app:test', 'secret', {
+      transport: stubTransport(sent, function () {
+        return {
+          status: 200,
+          headers: { 'content-type': 'application/json' },
+          body: { version: '2.0' },
+          text: '{"version":"2.0"}'
+        };
+      })
+    });
+    assert.equal(await pc.getServerVersion(), '2.0');
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].method, 'GET');
+    assert.equal(sent[0].url, 'https://paraio.com/v1/');
+    assert.equal(sent[0].timeout, pc.apiRequestTimeout);
+  });
+});
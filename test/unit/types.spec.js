@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { ParaObject, User, Tag, Sysprop, Webhook } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+class Cat extends ParaObject {
+  constructor(id) {
+    super(id, 'cat');
+  }
+  meow() {
+    return this.name + ' says meow';
+  }
+}
+
+describe('Typed objects', function () {
+  let pc;
+
+  beforeEach(function () {
+    pc = new ParaClient('app:test', 'secret', {
+      cache: true,
+      transport: stubTransport(function (request) {
+        if (request.url.endsWith('/_types')) {
+          return jsonResponse(200, { cats: 'cat' });
+        }
+        if (request.url.endsWith('/search/default')) {
+          return jsonResponse(200, {
+            items: [
+              { id: '1', type: 'cat', name: 'Tom' },
+              { id: '2', type: 'user', name: 'Ann', groups: 'mods' },
+              { id: '3', type: 'dog' }
+            ]
+          });
+        }
+        return jsonResponse(200, { id: 'tag:red', type: 'tag', tag: 'red', count: 2 });
+      })
+    });
+  });
+
+  it('has classes for the core types', function () {
+    const user = new User('1');
+    assert.equal(user.getType(), 'user');
+    user.setGroups('admins');
+    assert.equal(user.isAdmin(), true);
+    assert.equal(user.isModerator(), true);
+    const sysprop = new Sysprop('2').addProperty('color', 'grey');
+    assert.equal(sysprop.getProperty('color'), 'grey');
+    assert.equal(sysprop.hasProperty('size'), false);
+    assert.equal(sysprop.removeProperty('color').hasProperty('color'), false);
+    const webhook = new Webhook();
+    webhook.setDelete(true);
+    assert.equal(webhook.getDelete(), true);
+    assert.equal(webhook.getType(), 'webhook');
+  });
+
+  it('creates objects of the registered class', async function () {
+    const tag = await pc.read('tag', 'tag:red');
+    assert.ok(tag instanceof Tag);
+    assert.equal(tag.getCount(), 2);
+    assert.equal(tag.isDirty(), false);
+    assert.ok((await pc.read('tag', 'tag:red')) instanceof Tag);
+
+    pc.registerType('cat', Cat);
+    const items = await pc.findQuery(null, '*');
+    assert.ok(items[0] instanceof Cat);
+    assert.equal(items[0].meow(), 'Tom says meow');
+    assert.ok(items[1] instanceof User);
+    assert.equal(items[1].isModerator(), true);
+    assert.equal(items[2].constructor, ParaObject);
+
+    pc.registerType('cat', null);
+    assert.equal((await pc.findQuery(null, '*'))[0].constructor, ParaObject);
+  });
+
+  it('only registers subclasses of ParaObject', function () {
+    assert.throws(function () {
+      pc.registerType('cat', Date);
+    });
+    assert.equal(pc.registerType('cat', Cat), pc);
+  });
+
+  it('keeps the types() method working', async function () {
+    pc.registerType('cat', Cat);
+    assert.deepEqual(await pc.types(), { cats: 'cat' });
+  });
+});
@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+
+import ParaClient, { Constraint, ParaObject, ParaValidationError } from '../../lib/index.js';
+import { jsonResponse, stubTransport } from './helpers.js';
+
+function check(constraint, values) {
+  return values.map(function (value) {
+    return constraint.isValid(value);
+  });
+}
+
+describe('Validation', function () {
+  it('evaluates constraints like Para', function () {
+    assert.deepEqual(check(Constraint.required(), [null, '', ' ', [], 0, 'a']), [
+      false,
+      false,
+      false,
+      false,
+      true,
+      true
+    ]);
+    assert.deepEqual(check(Constraint.min(3), [2, 3, '4', 'x', null]), [
+      false,
+      true,
+      true,
+      false,
+      true
+    ]);
+    assert.deepEqual(check(Constraint.max(3), [4, 3]), [false, true]);
+    assert.deepEqual(check(Constraint.size(1, 2), ['', 'ab', 'abc', [1], { a: 1 }]), [
+      false,
+      true,
+      false,
+      true,
+      true
+    ]);
+    assert.deepEqual(check(Constraint.digits(2, 1), [12.5, '-1.0', 123, 1.25, 'a']), [
+      true,
+      true,
+      false,
+      false,
+      false
+    ]);
+    assert.deepEqual(check(Constraint.pattern('[a-z]+'), ['abc', 'abc1']), [true, false]);
+    // Java-only syntax can't be checked on the client
+    assert.deepEqual(check(Constraint.pattern('(?i)[a-z]++'), ['ABC', '1']), [true, true]);
+    assert.deepEqual(check(Constraint.email(), ['a@b.co', 'a@b', 'a b@c.de']), [
+      true,
+      false,
+      false
+    ]);
+    assert.deepEqual(check(Constraint.truthy(), [true, 'TRUE', false]), [true, true, false]);
+    assert.deepEqual(check(Constraint.falsy(), [false, 'no', 'true']), [true, true, false]);
+    assert.deepEqual(check(Constraint.future(), [Date.now() + 10000, new Date(0)]), [true, false]);
+    assert.deepEqual(check(Constraint.past(), [new Date(0), Date.now() + 10000, 'x']), [
+      true,
+      false,
+      false
+    ]);
+    assert.deepEqual(check(Constraint.url(), ['https://erudika.com', 'javascript:x', 'x']), [
+      true,
+      false,
+      false
+    ]);
+  });
+
+  it('returns the errors of each field', function () {
+    const constraints = {
+      name: { required: { message: 'messages.required' } },
+      paws: {
+        min: { value: 4, message: 'messages.min' },
+        max: { value: 4, message: 'messages.max' }
+      }
+    };
+    assert.deepEqual(Constraint.validate({ paws: 2 }, constraints), {
+      name: [{ constraint: 'required', message: 'messages.required' }],
+      paws: [{ constraint: 'min', value: 4, message: 'messages.min' }]
+    });
+    assert.deepEqual(Constraint.validate({ paws: 2 }, constraints, ['name']), {
+      name: [{ constraint: 'required', message: 'messages.required' }]
+    });
+    assert.deepEqual(Constraint.validate({ name: 'Tom', paws: 4 }, constraints), {});
+  });
+
+  describe('on the client', function () {
+    let sent;
+    let pc;
+
+    beforeEach(function () {
+      sent = [];
+      pc = new ParaClient('app:test', 'secret', {
+        validation: { beforeSave: true },
+        transport: stubTransport(sent, function (request) {
+          if (request.url.indexOf('/_constraints/') > 0) {
+            return jsonResponse(200, {
+              cat: {
+                name: { required: { message: 'messages.required' } },
+                code: { pattern: { value: '(?i)[a-z]++', message: 'messages.pattern' } }
+              }
+            });
+          }
+          return jsonResponse(200, JSON.parse(request.body));
+        })
+      });
+    });
+
+    it('caches the constraints', async function () {
+      const errors = await pc.validate(
+        new ParaObject().setFields({ id: '1', type: 'cat', name: null })
+      );
+      assert.deepEqual(Object.keys(errors), ['name']);
+      await pc.validate(new ParaObject('2', 'cat'));
+      assert.equal(sent.length, 1);
+      await pc.validate(new ParaObject('2', 'cat'), { cache: false });
+      assert.equal(sent.length, 2);
+      await pc.addValidationConstraint('cat', 'age', Constraint.min(1));
+      await pc.validate(new ParaObject('2', 'cat'));
+      assert.equal(sent.length, 4);
+    });
+
+    it('validates objects before saving them', async function () {
+      const cat = new ParaObject('1', 'cat');
+      cat.name = '';
+      const error = await pc.create(cat).catch(function (e) {
+        return e;
+      });
+      assert.ok(error instanceof ParaValidationError);
+      assert.equal(error.errors.name[0].message, 'messages.required');
+      assert.equal(sent.length, 1);
+      await pc.create(cat, { validate: false });
+      assert.equal(sent.length, 2);
+      cat.name = 'Tom';
+      await pc.create(cat);
+      assert.equal(sent.length, 3);
+    });
+
+    it('leaves patterns JavaScript cannot compile to the server', async function () {
+      const cat = new ParaObject('1', 'cat');
+      cat.name = 'Tom';
+      cat.code = 'ABC';
+      await pc.create(cat);
+      assert.equal(sent[sent.length - 1].method, 'PUT');
+      assert.equal(sent.length, 2);
+    });
+
+    it('validates only the changed fields on update', async function () {
+      const cat = new ParaObject().setFields({ id: '1', type: 'cat' });
+      cat.color = 'grey';
+      await pc.update(cat);
+      assert.equal(sent[sent.length - 1].method, 'PATCH');
+      cat.name = ' ';
+      await assert.rejects(pc.update(cat), ParaValidationError);
+    });
+  });
+});
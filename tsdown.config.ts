@@ -14,6 +14,7 @@ const nodeTarget = (() => {
 })();
 const dirname = path.dirname(fileURLToPath(import.meta.url));
 const assertShim = path.resolve(dirname, 'shims/assert.js');
+const superagentShim = path.resolve(dirname, 'shims/superagent.js');
 
 export default defineConfig([
   {
@@ -48,7 +49,8 @@ export default defineConfig([
     globalName: 'ParaClient',
     skipNodeModulesBundle: false,
     alias: {
-      assert: assertShim
+      assert: assertShim,
+      superagent: superagentShim
     },
     noExternal: dependencies,
     outputOptions: {